@@ -5,13 +5,23 @@ module.exports = function (grunt) {
     // Project configuration.
     grunt.initConfig({
         eslint: {
-            all: ['Gruntfile.js', 'index.js']
+            all: ['Gruntfile.js', 'index.js', 'lib/**/*.js', 'test/**/*.js']
+        },
+
+        mochaTest: {
+            all: {
+                options: {
+                    reporter: 'spec'
+                },
+                src: ['test/**/*-test.js']
+            }
         }
     });
 
     // Load the plugin(s)
     grunt.loadNpmTasks('grunt-eslint');
+    grunt.loadNpmTasks('grunt-mocha-test');
 
     // Tasks
-    grunt.registerTask('default', ['eslint']);
+    grunt.registerTask('default', ['eslint', 'mochaTest']);
 };
@@ -1,17 +1,40 @@
 'use strict';
 
 const os = require('os');
+const crypto = require('crypto');
 const addressparser = require('nodemailer/lib/addressparser');
 const MimeNode = require('nodemailer/lib/mime-node');
+const ObjectID = require('mongodb').ObjectID;
 const MessageHandler = require('wildduck/lib/message-handler');
 const UserHandler = require('wildduck/lib/user-handler');
 const DkimHandler = require('wildduck/lib/dkim-handler');
 const AuditHandler = require('wildduck/lib/audit-handler');
+const AbusePolicy = require('./lib/abuse-policy');
+const messagePolicy = require('./lib/message-policy');
+const DkimKeys = require('./lib/dkim-keys');
+const LRUCache = require('./lib/lru-cache');
+const arcSeal = require('./lib/arc-seal');
+const SRSHandler = require('./lib/srs-handler');
+const AuthThrottle = require('./lib/auth-throttle');
+const NetworkAccess = require('./lib/network-access');
+const aspRestrictions = require('./lib/asp-restrictions');
+const networks = require('./lib/networks');
+const OAuthTokens = require('./lib/oauth-tokens');
+const DeliveryStatus = require('./lib/delivery-status');
+const DeliveryLog = require('./lib/delivery-log');
+const QueueUsers = require('./lib/queue-users');
+const RecipientPolicy = require('./lib/recipient-policy');
+const MessageHold = require('./lib/message-hold');
+const Scanner = require('./lib/scanner');
+const ScheduledSending = require('./lib/scheduled-sending');
+const sentUpload = require('./lib/sent-upload');
+const UploadRetry = require('./lib/upload-retry');
 const wdErrors = require('wildduck/lib/errors');
 const counters = require('wildduck/lib/counters');
 const tools = require('wildduck/lib/tools');
-const SRS = require('srs.js');
-const Gelf = require('gelf');
+const net = require('net');
+const LogSinks = require('./lib/log-sinks');
+const metrics = require('./lib/metrics');
 const util = require('util');
 
 module.exports.title = 'WildDuck MSA';
@@ -25,17 +48,18 @@ module.exports.init = function(app, done) {
 
     const component = ((app.config.gelf && app.config.gelf.component) || 'mta').toUpperCase();
     const hostname = app.config.hostname || os.hostname();
-    const gelf =
-        app.config.gelf && app.config.gelf.enabled
-            ? new Gelf(app.config.gelf.options)
-            : {
-                  // placeholder
-                  emit: () => false
-              };
-    wdErrors.setGelf(gelf);
+
+    // the gelf section is kept as a shorthand for a single GELF sink
+    const logSinks = new LogSinks({
+        sinks: [].concat(app.config.gelf && app.config.gelf.enabled ? Object.assign({ type: 'gelf' }, app.config.gelf) : []).concat(app.config.logSinks || []),
+        logger: app.logger
+    });
+    wdErrors.setGelf({
+        emit: (channel, message) => logSinks.log(message)
+    });
 
     const loggelf = message => {
-        if (!app.config.gelf || !app.config.gelf.enabled) {
+        if (!logSinks.enabled) {
             return false;
         }
 
@@ -50,16 +74,16 @@ module.exports.init = function(app, done) {
             message.short_message = component.toUpperCase() + ' ' + (message.short_message || '');
         }
 
-        message.facility = app.config.gelf.component || 'mta'; // facility is deprecated but set by the driver if not provided
+        message.facility = (app.config.gelf && app.config.gelf.component) || 'mta'; // facility is deprecated but set by the driver if not provided
         message.host = hostname;
         message.timestamp = Date.now() / 1000;
-        message._component = app.config.gelf.component || 'mta';
+        message._component = (app.config.gelf && app.config.gelf.component) || 'mta';
         Object.keys(message).forEach(key => {
             if (!message[key]) {
                 delete message[key];
             }
         });
-        gelf.emit('gelf.log', message);
+        logSinks.log(message);
     };
 
     const dkimHandler = new DkimHandler({
@@ -69,11 +93,44 @@ module.exports.init = function(app, done) {
         loggelf: message => loggelf(message)
     });
 
+    const dkimKeys = new DkimKeys({
+        dkimHandler,
+        database,
+        cipher: app.config.dkim && app.config.dkim.cipher,
+        secret: app.config.dkim && app.config.dkim.secret,
+        rotation: app.config.dkim && app.config.dkim.rotation
+    });
+
+    const cacheConfig = app.config.cache || {};
+    const cache = cacheConfig.enabled ? new LRUCache({ size: cacheConfig.size, ttl: cacheConfig.ttl }) : false;
+
+    if (cache) {
+        // other nodes and admin tools publish invalidation messages to this channel
+        const cacheChannel = cacheConfig.channel || 'zonemta-wildduck:cache';
+        const subscriber = redisClient.duplicate();
+        subscriber.on('error', err => app.logger.error('Cache', 'Redis subscriber error. %s', err.message));
+        subscriber.on('message', (channel, message) => {
+            if (channel !== cacheChannel) {
+                return;
+            }
+            let data;
+            try {
+                data = JSON.parse(message);
+            } catch (E) {
+                data = {};
+            }
+            invalidateCache(data);
+        });
+        subscriber.subscribe(cacheChannel, err => {
+            if (err) {
+                app.logger.error('Cache', 'Failed to subscribe to %s. %s', cacheChannel, err.message);
+            }
+        });
+    }
+
     const ttlcounter = counters(redisClient).ttlcounter;
 
-    const srsRewriter = new SRS({
-        secret: (app.config.srs && app.config.srs.secret) || '?'
-    });
+    const srsHandler = new SRSHandler(app.config.srs);
 
     const messageHandler = new MessageHandler({
         database,
@@ -104,6 +161,268 @@ module.exports.init = function(app, done) {
         loggelf: message => loggelf(message)
     });
 
+    const queueUsers = new QueueUsers({
+        redis: redisClient
+    });
+
+    const abusePolicy = new AbusePolicy({
+        config: app.config.abuse,
+        redis: redisClient,
+        users: usersdb,
+        queueUsers,
+        userHandler,
+        ttlcounter,
+        logger: app.logger,
+        loggelf: message => loggelf(message)
+    });
+
+    const xclientConfig = app.config.xclient || {};
+    // if not set then XCLIENT LOGIN is not accepted from any client
+    const isTrustedProxy = xclientConfig.trustedNetworks ? networks.createMatcher(xclientConfig.trustedNetworks) : () => false;
+
+    const oauthConfig = app.config.oauth || {};
+    const oauthTokens = new OAuthTokens({
+        config: oauthConfig
+    });
+
+    if (oauthTokens.enabled && oauthTokens.mode === 'jwks') {
+        let loadKeys = () => oauthTokens.loadKeys().catch(err => app.logger.error('Auth', 'Failed to load JWKS file %s. %s', oauthConfig.jwks, err.message));
+        loadKeys();
+        if (oauthConfig.reloadInterval) {
+            // pick up rotated signing keys
+            let keysTimer = setInterval(loadKeys, Number(oauthConfig.reloadInterval) * 1000);
+            keysTimer.unref();
+        }
+    }
+
+    const authThrottle = new AuthThrottle({
+        config: app.config.authThrottle,
+        redis: redisClient,
+        ttlcounter
+    });
+
+    const networkAccess = new NetworkAccess({
+        config: app.config.networkAccess,
+        users: usersdb,
+        database
+    });
+
+    networkAccess.init().catch(err => app.logger.error('Auth', 'Failed to load GeoIP database. %s', err.message));
+
+    const trackAbuse = (user, type, info) => {
+        abusePolicy.track(user, type, info).catch(err => app.logger.error('Abuse', 'Failed to track %s for user %s. %s', type, user, err.message));
+    };
+
+    if (abusePolicy.enabled) {
+        // lift suspensions with expired cooldown
+        let abuseTimer = setInterval(() => {
+            abusePolicy.liftExpired().catch(err => app.logger.error('Abuse', 'Failed to lift expired suspensions. %s', err.message));
+        }, 60 * 1000);
+        abuseTimer.unref();
+    }
+
+    const deliveryStatus = new DeliveryStatus({
+        config: app.config.deliveryStatus,
+        redis: redisClient,
+        database
+    });
+
+    const deliveryLog = new DeliveryLog({
+        config: app.config.deliveryLog,
+        database,
+        queueUsers
+    });
+
+    if (deliveryLog.enabled) {
+        deliveryLog.ensureIndexes().catch(err => app.logger.error('DeliveryLog', 'Failed to create indexes. %s', err.message));
+    }
+
+    const recipientPolicy = new RecipientPolicy({
+        config: app.config.recipientPolicy,
+        database
+    });
+
+    const messageHold = new MessageHold({
+        config: app.config.messageHold,
+        database,
+        queueDb: app.db.senderDb,
+        redis: redisClient
+    });
+
+    const auditHoldConfig = app.config.auditHold || {};
+
+    const scanner = new Scanner({
+        config: app.config.scanner
+    });
+
+    const sentUploadConfig = Object.assign({ uploadAll: app.config.uploadAll }, app.config.sentUpload || {});
+    const sentUploadHeader = sentUploadConfig.header || 'X-WildDuck-Upload';
+
+    const uploadRetry = new UploadRetry({
+        config: app.config.uploadRetry,
+        redis: redisClient,
+        handlers: {
+            sent: (upload, raw) => uploadSentCopy(upload, raw),
+            audit: (upload, raw) => uploadAuditCopy(upload, raw)
+        }
+    });
+
+    if (uploadRetry.enabled) {
+        let retryTimer = setInterval(() => {
+            uploadRetry
+                .process()
+                .then(jobs => jobs.forEach(logUploadRetry))
+                .then(() => uploadRetry.stats())
+                .then(stats => {
+                    metrics.uploadRetryPending.set(stats.pending);
+                    metrics.uploadRetryDead.set(stats.dead);
+                })
+                .catch(err => app.logger.error('Rewrite', 'Failed to process upload retries. %s', err.message));
+        }, (Number(app.config.uploadRetry.interval) || 30) * 1000);
+        retryTimer.unref();
+
+        // served by the API server of ZoneMTA as /plugin/<plugin key>/upload-retries
+        app.addAPI('get', '/upload-retries', (req, res, next) => {
+            uploadRetry
+                .stats()
+                .then(stats => res.json(stats))
+                .catch(err => res.json(500, { error: err.message }))
+                .then(() => next());
+        });
+    }
+
+    const scheduledSending = new ScheduledSending({
+        config: app.config.scheduledSending,
+        database,
+        queueDb: app.db.senderDb
+    });
+
+    if (scheduledSending.enabled) {
+        scheduledSending.ensureIndexes().catch(err => app.logger.error('Rewrite', 'Failed to create schedule indexes. %s', err.message));
+
+        // served by the API server of ZoneMTA as /plugin/<plugin key>/scheduled
+        app.addAPI('get', '/scheduled', (req, res, next) => {
+            let query = req.query || {};
+            if (!ObjectID.isValid(query.user)) {
+                res.json(400, { error: 'Invalid user ID' });
+                return next();
+            }
+
+            scheduledSending
+                .list(query.user, {
+                    status: query.status,
+                    limit: query.limit
+                })
+                .then(list => res.json({ results: list }))
+                .catch(err => res.json(500, { error: err.message }))
+                .then(() => next());
+        });
+
+        app.addAPI('post', '/scheduled/:queueId/cancel', (req, res, next) => {
+            let body = req.body || {};
+            if (!ObjectID.isValid(body.user)) {
+                res.json(400, { error: 'Invalid user ID' });
+                return next();
+            }
+
+            scheduledSending
+                .cancel(body.user, req.params.queueId)
+                .then(cancelled => {
+                    if (!cancelled) {
+                        return res.json(404, { error: 'Message is not scheduled or has already been released' });
+                    }
+
+                    loggelf({
+                        short_message: '[SCHEDULECANCEL] ' + req.params.queueId,
+                        _mail_action: 'schedule_cancel',
+                        _queue_id: req.params.queueId,
+                        _user: body.user.toString(),
+                        _cancelled: cancelled
+                    });
+                    app.logger.info('Rewrite', '%s SCHEDULECANCEL user=%s deliveries=%s', req.params.queueId, body.user, cancelled);
+
+                    res.json({ success: true, queueId: req.params.queueId, cancelled });
+                })
+                .catch(err => res.json(500, { error: err.message }))
+                .then(() => next());
+        });
+    }
+
+    if (recipientPolicy.enabled) {
+        recipientPolicy.ensureIndexes().catch(err => app.logger.error('Policy', 'Failed to create indexes. %s', err.message));
+    }
+
+    if (recipientPolicy.enabled || scanner.enabled || auditHoldConfig.enabled) {
+        messageHold.ensureIndexes().catch(err => app.logger.error('Hold', 'Failed to create indexes. %s', err.message));
+
+        let holdTimer = setInterval(() => {
+            messageHold
+                .expire()
+                .then(decided => decided.forEach(logHoldDecision))
+                .catch(err => app.logger.error('Hold', 'Failed to resolve expired holds. %s', err.message));
+        }, (Number((app.config.messageHold || {}).checkInterval) || 60) * 1000);
+        holdTimer.unref();
+
+        // review endpoints, served by the API server of ZoneMTA as /plugin/<plugin key>/held
+        app.addAPI('get', '/held', (req, res, next) => {
+            let query = req.query || {};
+            messageHold
+                .list({
+                    user: ObjectID.isValid(query.user) ? new ObjectID(query.user) : false,
+                    status: query.status,
+                    limit: query.limit
+                })
+                .then(list => res.json({ results: list }))
+                .catch(err => res.json(500, { error: err.message }))
+                .then(() => next());
+        });
+
+        ['release', 'discard'].forEach(action => {
+            app.addAPI('post', '/held/:queueId/' + action, (req, res, next) => {
+                let body = req.body || {};
+                decideHold(req.params.queueId, action === 'release' ? 'released' : 'discarded', {
+                    decidedBy: body.decidedBy,
+                    comment: body.comment
+                })
+                    .then(holdData => {
+                        if (!holdData) {
+                            return res.json(404, { error: 'Message is not held or the hold has expired' });
+                        }
+                        res.json({ success: true, queueId: holdData.queueId, status: holdData.status });
+                    })
+                    .catch(err => res.json(500, { error: err.message }))
+                    .then(() => next());
+            });
+        });
+    }
+
+    const metricsConfig = app.config.metrics || {};
+    if (metricsConfig.enabled) {
+        if (metricsConfig.shared !== false) {
+            // receiver and sender processes all count their own events
+            metrics.share(redisClient, metricsConfig, err => app.logger.error('Metrics', 'Failed to share metrics. %s', err.message));
+        }
+
+        if (metricsConfig.port) {
+            metrics.listen(metricsConfig, err => {
+                // multiple worker processes can not bind to the same port, only the first one serves metrics
+                app.logger.error('Metrics', 'Failed to start metrics server on port %s. %s', metricsConfig.port, err.message);
+            });
+        } else {
+            // served by the API server of ZoneMTA as /plugin/<plugin key>/metrics
+            app.addAPI('get', '/metrics', (req, res, next) => {
+                metrics
+                    .getMetrics()
+                    .then(data => {
+                        res.setHeader('Content-Type', metrics.registry.contentType);
+                        res.end(data);
+                    })
+                    .catch(err => res.send(500, err.message))
+                    .then(() => next());
+            });
+        }
+    }
+
     const encryptMessage = util.promisify(messageHandler.encryptMessage.bind(messageHandler));
     const prepareMessage = util.promisify(messageHandler.prepareMessage.bind(messageHandler));
 
@@ -120,6 +439,55 @@ module.exports.init = function(app, done) {
     const interfaces = [].concat(app.config.interfaces || '*');
     const allInterfaces = interfaces.includes('*');
 
+    // interfaces where bounces to SRS addresses are accepted. Reversed recipients skip user checks and
+    // recipient limits, so interfaces for authenticated submission can not be used for bounces
+    const srsInterfaces = [].concat((app.config.srs && app.config.srs.interfaces) || []).filter(iface => {
+        if (iface === '*' || allInterfaces || interfaces.includes(iface)) {
+            app.logger.error('SRS', 'Ignoring SRS interface "%s", bounces are not accepted on authenticated interfaces', iface);
+            return false;
+        }
+        return true;
+    });
+
+    const localDelivery = {
+        enabled: !!(app.config.localDelivery && app.config.localDelivery.enabled),
+        host: (app.config.localDelivery && app.config.localDelivery.host) || '127.0.0.1',
+        port: (app.config.localDelivery && app.config.localDelivery.port) || 24
+    };
+    // deliveries routed to LMTP by this sender process, ZoneMTA before v3 does not set the protocol of log entries
+    const localDeliveries = new LRUCache({ size: 10000, ttl: 3600 });
+
+    // rolling recipient counters, checked in this order for every RCPT TO
+    const recipientLimits = [
+        {
+            name: 'minute',
+            field: 'recipientsPerMinute',
+            prefix: 'wdrm:',
+            windowSize: 60,
+            responseCode: 451,
+            message: 'You reached a per-minute sending limit for your account',
+            error: 'per minute sending limit reached'
+        },
+        {
+            name: 'hourly',
+            field: 'recipientsPerHour',
+            prefix: 'wdrh:',
+            windowSize: 3600,
+            responseCode: 451,
+            message: 'You reached an hourly sending limit for your account',
+            error: 'hourly sending limit reached'
+        },
+        {
+            name: 'daily',
+            field: 'recipients',
+            prefix: 'wdr:',
+            windowSize: 86400,
+            responseCode: 550,
+            message: 'You reached a daily sending limit for your account',
+            error: 'daily sending limit reached'
+        }
+    ];
+
     // handle user authentication
     app.addHook('smtp:auth', (auth, session, next) => {
         if (!checkInterface(session.interface)) {
@@ -129,88 +497,153 @@ module.exports.init = function(app, done) {
         if (auth.method === 'XCLIENT') {
             // special proxied connection where authentication is handled upstream
             // XCLIENT is only available if smtp server has useXClient option set to true
-            return userHandler.get(auth.username, { username: true, address: true }, (err, userData) => {
+            return authenticateXClient(auth, session, next);
+        }
+
+        // smtp-server does not offer OAUTHBEARER, XOAUTH2 is the only SASL token method
+        if (auth.method === 'XOAUTH2' || (oauthTokens.enabled && oauthConfig.passwordTokens && OAuthTokens.isJWT(auth.password))) {
+            // bearer token, either from a SASL token method or from the password field
+            return checkAuthThrottle(auth, session, err => {
                 if (err) {
                     return next(err);
                 }
-                if (!userData) {
-                    let message = 'Authentication failed';
-                    err = new Error(message);
-                    err.responseCode = 535;
-                    err.name = 'SMTPResponse'; // do not throw
+                authenticateToken(auth, session, next);
+            });
+        }
 
-                    loggelf({
-                        short_message: '[AUTH FAIL:' + auth.username + '] ' + session.id,
+        checkAuthThrottle(auth, session, err => {
+            if (err) {
+                return next(err);
+            }
 
-                        _auth_fail: 'yes',
-                        _mail_action: 'auth',
-                        _username: auth.username,
-                        _xclient: 'yes',
+            userHandler.authenticate(
+                auth.username,
+                auth.password,
+                'smtp',
+                {
+                    protocol: 'SMTP',
+                    ip: session.remoteAddress
+                },
+                (err, result) => {
+                    if (err) {
+                        return next(err);
+                    }
+                    if (!result || (result.scope === 'master' && result.require2fa)) {
+                        let message = 'Authentication failed';
+                        if (result) {
+                            message = 'You need to use an application specific password';
+                        }
+                        err = new Error(message);
+                        err.responseCode = 535;
+                        err.name = 'SMTPResponse'; // do not throw
 
-                        _session_id: session.id,
-                        _ip: session.remoteAddress
-                    });
+                        loggelf({
+                            short_message: '[AUTH FAIL:' + auth.username + '] ' + session.id,
 
-                    return next(err);
-                }
+                            _auth_fail: 'yes',
+                            _mail_action: 'auth',
+                            _username: auth.username,
+                            _require_asp: result ? 'yes' : '',
 
-                auth.username = userData.username + '[' + auth.username + ']';
-                next();
-            });
-        }
+                            _session_id: session.id,
+                            _ip: session.remoteAddress
+                        });
 
-        userHandler.authenticate(
-            auth.username,
-            auth.password,
-            'smtp',
-            {
-                protocol: 'SMTP',
-                ip: session.remoteAddress
-            },
-            (err, result) => {
-                if (err) {
-                    return next(err);
-                }
-                if (!result || (result.scope === 'master' && result.require2fa)) {
-                    let message = 'Authentication failed';
-                    if (result) {
-                        message = 'You need to use an application specific password';
+                        metrics.auth.inc({ result: 'fail' });
+                        if (!result) {
+                            registerAuthFailure(auth, session);
+                        }
+                        return next(err);
                     }
-                    err = new Error(message);
-                    err.responseCode = 535;
-                    err.name = 'SMTPResponse'; // do not throw
 
-                    loggelf({
-                        short_message: '[AUTH FAIL:' + auth.username + '] ' + session.id,
+                    checkNetworkAccess(result, auth, session, err => {
+                        if (err) {
+                            return next(err);
+                        }
 
-                        _auth_fail: 'yes',
-                        _mail_action: 'auth',
-                        _username: auth.username,
-                        _require_asp: result ? 'yes' : '',
+                        loadAspRestrictions(result, auth, session, err => {
+                            if (err) {
+                                return next(err);
+                            }
 
-                        _session_id: session.id,
-                        _ip: session.remoteAddress
-                    });
+                            metrics.auth.inc({ result: 'success' });
+                            loggelf({
+                                short_message: '[AUTH OK:' + auth.username + '] ' + session.id,
 
-                    return next(err);
-                }
+                                _auth_ok: 'yes',
+                                _mail_action: 'auth',
+                                _username: auth.username,
+                                _scope: result.scope,
+                                _asp: result.asp,
 
-                loggelf({
-                    short_message: '[AUTH OK:' + auth.username + '] ' + session.id,
+                                _session_id: session.id,
+                                _ip: session.remoteAddress
+                            });
 
-                    _auth_ok: 'yes',
-                    _mail_action: 'auth',
-                    _username: auth.username,
-                    _scope: result.scope,
+                            authThrottle
+                                .reset(session.remoteAddress, auth.username)
+                                .catch(err => app.logger.error('Auth', '%s Failed to reset auth counters. %s', session.id, err.message));
 
-                    _session_id: session.id,
-                    _ip: session.remoteAddress
-                });
+                            auth.username = result.username + '[' + auth.username + ']';
+                            next();
+                        });
+                    });
+                }
+            );
+        });
+    });
 
-                auth.username = result.username + '[' + auth.username + ']';
-                next();
+    // restrictions of the application specific password are needed for message checks
+    app.addHook('smtp:data', (envelope, session, next) => {
+        if (session.aspRestrictions) {
+            envelope.aspRestrictions = session.aspRestrictions;
+        }
+        if (session.envelope && session.envelope.policyHold) {
+            // recipients held by recipient policy rules
+            envelope.policyHold = session.envelope.policyHold;
+        }
+        next();
+    });
+
+    // held messages are queued with deferred delivery, must run before other message:queue checks
+    app.addHook('message:queue', (envelope, messageInfo, next) => {
+        let recipients = envelope.to.map(MessageHold.normalizeRecipient);
+        let held = (envelope.policyHold || []).filter(entry => recipients.includes(entry.address));
+        if (!held.length || !checkInterface(envelope.interface)) {
+            return next();
+        }
+
+        getUser(envelope, (err, userData) => {
+            if (err) {
+                return next(err);
             }
-        );
+
+            messageHold
+                .hold(envelope.id, {
+                    user: userData._id,
+                    reason: 'policy',
+                    recipients: held.map(entry => entry.address),
+                    rules: held.map(entry => entry.rule),
+                    deliverAt: envelope.deliverAt
+                })
+                .then(deferDelivery => {
+                    envelope.deferDelivery = deferDelivery;
+
+                    loggelf({
+                        short_message: '[HOLD] ' + envelope.id,
+                        _mail_action: 'hold',
+                        _queue_id: envelope.id,
+                        _user: userData._id.toString(),
+                        _hold_reason: 'policy',
+                        _to: held.map(entry => entry.address).join(', '),
+                        _hold_expires: new Date(deferDelivery).toISOString()
+                    });
+
+                    app.logger.info('Policy', '%s HOLD user=%s recipients=%s', envelope.id, userData.username, held.map(entry => entry.address).join(','));
+                    next();
+                })
+                .catch(next);
+        });
     });
 
     // Check if an user is allowed to use specific address, if not then override using the default
@@ -219,6 +652,46 @@ module.exports.init = function(app, done) {
             return next();
         }
 
+        if (envelope.aspRestrictions) {
+            let aspError = checkAspSenders(envelope);
+            if (aspError) {
+                return next(aspError);
+            }
+        }
+
+        if (envelope.headers.getFirst(sentUploadHeader)) {
+            // client asks to skip or force the Sent Mail upload
+            envelope.sentUpload = sentUpload.parseOverride(envelope.headers.getFirst(sentUploadHeader));
+            envelope.headers.remove(sentUploadHeader);
+        }
+
+        if (scheduledSending.enabled) {
+            let deliverAt;
+            try {
+                deliverAt = scheduledSending.parse(envelope.headers.getFirst(scheduledSending.header));
+            } catch (err) {
+                return next(err);
+            }
+
+            // scheduling header is not sent to recipients
+            envelope.headers.remove(scheduledSending.header);
+
+            if (deliverAt) {
+                envelope.deliverAt = deliverAt.getTime();
+                envelope.deferDelivery = envelope.deliverAt;
+
+                loggelf({
+                    short_message: '[SCHEDULED] ' + envelope.id,
+                    _mail_action: 'scheduled',
+                    _queue_id: envelope.id,
+                    _user: envelope.user,
+                    _deliver_at: deliverAt.toISOString()
+                });
+
+                app.logger.info('Rewrite', '%s SCHEDULED user=%s deliverAt=%s', envelope.id, envelope.user, deliverAt.toISOString());
+            }
+        }
+
         // Check From: value. Add if missing or rewrite if needed
         let headerFrom = envelope.headers.getFirst('from');
         let headerFromList;
@@ -246,7 +719,7 @@ module.exports.init = function(app, done) {
                 normalizedAddress.substr(0, normalizedAddress.indexOf('@')).replace(/\./g, '') + normalizedAddress.substr(normalizedAddress.indexOf('@'));
 
             let checkAddress = (address, done) => {
-                userHandler.resolveAddress(address, { wildcard: true }, (err, addressData) => {
+                resolveAddress(address, (err, addressData) => {
                     if (err) {
                         return done(err);
                     }
@@ -274,59 +747,274 @@ module.exports.init = function(app, done) {
                 });
             };
 
-            checkAddress(envelope.from, (err, addressData) => {
-                if (err) {
-                    return next(err);
+            let ownDomains = false;
+            let checkDomain = (address, done) => {
+                let domain = tools.normalizeDomain(address.substr(address.lastIndexOf('@') + 1));
+                if (ownDomains) {
+                    return done(null, ownDomains.has(domain));
                 }
-
-                if (!addressData) {
-                    loggelf({
-                        short_message: '[RWENVELOPE] ' + envelope.id,
-                        _mail_action: 'rw_envelope_from',
-                        _queue_id: envelope.id,
-                        _envelope_from: envelope.from,
-                        _rewrite_from: userData.address
+                usersdb
+                    .collection('addresses')
+                    .find({ user: userData._id }, { projection: { addrview: true } })
+                    .toArray((err, addresses) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        ownDomains = new Set(
+                            (addresses || [])
+                                .map(addressData => addressData.addrview)
+                                .concat(userData.address || [])
+                                .map(address => tools.normalizeDomain(address.substr(address.lastIndexOf('@') + 1)))
+                        );
+                        return done(null, ownDomains.has(domain));
                     });
+            };
 
-                    // replace MAIL FROM address
-                    app.logger.info(
-                        'Rewrite',
-                        '%s RWENVELOPE User %s tries to use "%s" as Return Path address, replacing with "%s"',
-                        envelope.id,
-                        userData.username,
-                        envelope.from + (envelope.from === normalizedAddress ? '' : '[' + normalizedAddress + ']'),
-                        userData.address
-                    );
-                    envelope.from = userData.address;
-                }
-
-                if (!headerFromObj) {
-                    return next();
-                }
-
-                normalizedAddress = tools.normalizeAddress(Buffer.from(headerFromObj.address, 'binary').toString());
-                normalizedAddress =
-                    normalizedAddress.substr(0, normalizedAddress.indexOf('@')).replace(/\./g, '') + normalizedAddress.substr(normalizedAddress.indexOf('@'));
-
-                if (addressData && addressData.addrview === normalizedAddress) {
-                    // same address
-                    return next();
-                }
-
-                checkAddress(Buffer.from(headerFromObj.address, 'binary').toString(), (err, addressData) => {
+            // checks if address is owned by the user or is otherwise allowed by the sender policy
+            let checkSender = (address, policy, done) => {
+                checkAddress(address, (err, addressData) => {
                     if (err) {
-                        return next(err);
+                        return done(err);
                     }
 
-                    if (addressData) {
-                        // can send mail as this user
-                        return next();
+                    if (addressData || policy === 'allow-any') {
+                        return done(null, addressData || true);
                     }
 
-                    loggelf({
-                        short_message: '[RWFROM] ' + envelope.id,
-                        _mail_action: 'rw_header_from',
-                        _queue_id: envelope.id,
+                    if (policy !== 'allow-domain') {
+                        return done(null, false);
+                    }
+
+                    checkDomain(address, done);
+                });
+            };
+
+            // returns an error for the SMTP client, type is 'envelope' or a header key
+            let rejectSender = (type, address) => {
+                let field = type === 'envelope' ? 'envelope_from' : 'header_' + type.toLowerCase().replace(/-/g, '_');
+                metrics.rewrites.inc({ field, action: 'reject' });
+                loggelf({
+                    short_message: '[REJECT' + type.toUpperCase().replace(/-/g, '') + '] ' + envelope.id,
+                    _mail_action: 'reject_' + field,
+                    _queue_id: envelope.id,
+                    _user: userData._id.toString(),
+                    ['_' + field]: address
+                });
+
+                app.logger.info(
+                    'Rewrite',
+                    '%s REJECT%s User %s tries to use "%s" as %s address',
+                    envelope.id,
+                    type.toUpperCase().replace(/-/g, ''),
+                    userData.username,
+                    address,
+                    type === 'envelope' ? 'Return Path' : type
+                );
+                trackAbuse(userData._id, 'rewrite', { queueId: envelope.id });
+
+                let err = new Error((type === 'envelope' ? 'Return Path' : type) + ' address <' + address + '> is not allowed to be used by your account');
+                err.responseCode = 550;
+                err.name = 'SMTPResponse'; // do not throw
+                return err;
+            };
+
+            let envelopePolicy = getFromPolicy(userData, 'envelope');
+            let headerPolicy = getFromPolicy(userData, 'header');
+
+            let originators = app.config.originators || {};
+            let originatorAction = originators.action === 'strip' ? 'strip' : 'rewrite';
+            let checkSenderAsync = util.promisify(checkSender);
+            let fromChanged = false;
+
+            // Check Sender:, Resent-From:, additional From: mailboxes and in strict mode also Reply-To:
+            let checkOriginators = async () => {
+                let fields = [];
+
+                if (headerFromObj && headerFromObj.address && headerFromList.length) {
+                    // first From: address is already checked
+                    fields.push({
+                        key: 'From',
+                        value: headerFrom,
+                        addresses: [headerFromObj].concat(flattenAddresses(headerFromList.slice(1))),
+                        offset: 1
+                    });
+                }
+
+                for (let key of ['Sender', 'Resent-From'].concat(originators.strict ? 'Reply-To' : [])) {
+                    // only the topmost Resent-From: belongs to the current submission
+                    let value = envelope.headers.getFirst(key);
+                    if (value) {
+                        fields.push({ key, value, addresses: flattenAddresses(addressparser(value)), offset: 0 });
+                    }
+                }
+
+                for (let field of fields) {
+                    let addresses = field.addresses.slice(0, field.offset);
+                    let changed = field.key === 'From' && fromChanged;
+
+                    for (let addressObj of field.addresses.slice(field.offset)) {
+                        let address = Buffer.from(addressObj.address || '', 'binary').toString();
+                        if (!address || (await checkSenderAsync(address, headerPolicy))) {
+                            addresses.push(addressObj);
+                            continue;
+                        }
+
+                        if (headerPolicy === 'reject') {
+                            throw rejectSender(field.key, address);
+                        }
+
+                        let tag = 'RW' + field.key.toUpperCase().replace(/-/g, '');
+                        metrics.rewrites.inc({ field: 'header_' + field.key.toLowerCase().replace(/-/g, '_'), action: originatorAction });
+                        loggelf({
+                            short_message: '[' + tag + '] ' + envelope.id,
+                            _mail_action: 'rw_header_' + field.key.toLowerCase().replace(/-/g, '_'),
+                            _queue_id: envelope.id,
+                            _header_from: address,
+                            _rewrite_from: originatorAction === 'rewrite' ? envelope.from : ''
+                        });
+
+                        app.logger.info(
+                            'Rewrite',
+                            '%s %s User %s tries to use "%s" as %s address, %s',
+                            envelope.id,
+                            tag,
+                            userData.username,
+                            address,
+                            field.key,
+                            originatorAction === 'rewrite' ? 'replacing with "' + envelope.from + '"' : 'removing'
+                        );
+                        trackAbuse(userData._id, 'rewrite', { queueId: envelope.id });
+
+                        changed = true;
+                        if (originatorAction === 'rewrite' && !addresses.some(entry => entry.address === envelope.from)) {
+                            addressObj.address = envelope.from;
+                            addresses.push(addressObj);
+                        }
+                    }
+
+                    if (!changed) {
+                        continue;
+                    }
+
+                    if (!addresses.length && field.key === 'Resent-From') {
+                        // Resent-From: is required for a resent block
+                        addresses.push({ name: '', address: envelope.from });
+                    }
+
+                    let value = addresses.length ? new MimeNode()._convertAddresses(addresses) : false;
+                    if (field.key === 'Resent-From') {
+                        replaceFirstHeader(envelope.headers, field.key, value);
+                    } else if (value) {
+                        envelope.headers.update(field.key, value);
+                    } else {
+                        envelope.headers.remove(field.key);
+                    }
+                    envelope.headers.update('X-WildDuck-Original-' + field.key, field.value);
+                }
+            };
+
+            let finish = () => {
+                checkOriginators()
+                    .then(() => next())
+                    .catch(next);
+            };
+
+            checkSender(envelope.from, envelopePolicy, (err, addressData) => {
+                if (err) {
+                    return next(err);
+                }
+
+                if (!addressData && envelopePolicy === 'reject') {
+                    return next(rejectSender('envelope', envelope.from));
+                }
+
+                if (!addressData) {
+                    metrics.rewrites.inc({ field: 'envelope_from', action: 'rewrite' });
+                    loggelf({
+                        short_message: '[RWENVELOPE] ' + envelope.id,
+                        _mail_action: 'rw_envelope_from',
+                        _queue_id: envelope.id,
+                        _envelope_from: envelope.from,
+                        _rewrite_from: userData.address
+                    });
+
+                    // replace MAIL FROM address
+                    app.logger.info(
+                        'Rewrite',
+                        '%s RWENVELOPE User %s tries to use "%s" as Return Path address, replacing with "%s"',
+                        envelope.id,
+                        userData.username,
+                        envelope.from + (envelope.from === normalizedAddress ? '' : '[' + normalizedAddress + ']'),
+                        userData.address
+                    );
+                    envelope.from = userData.address;
+                    trackAbuse(userData._id, 'rewrite', { queueId: envelope.id });
+                }
+
+                if (!headerFrom) {
+                    return finish();
+                }
+
+                if (!headerFromObj || !headerFromObj.address) {
+                    // group syntax or unparseable value, there is no mailbox to check so the header is handled as a disallowed address
+                    if (headerPolicy === 'reject') {
+                        return next(rejectSender('From', headerFrom.trim()));
+                    }
+
+                    metrics.rewrites.inc({ field: 'header_from', action: 'rewrite' });
+                    loggelf({
+                        short_message: '[RWFROM] ' + envelope.id,
+                        _mail_action: 'rw_header_from',
+                        _queue_id: envelope.id,
+                        _header_from: headerFrom.trim(),
+                        _rewrite_from: envelope.from
+                    });
+
+                    app.logger.info(
+                        'Rewrite',
+                        '%s RWFROM User %s uses invalid From value "%s", replacing with "%s"',
+                        envelope.id,
+                        userData.username,
+                        headerFrom.trim(),
+                        envelope.from
+                    );
+
+                    headerFromObj = { name: '', address: envelope.from };
+                    headerFromList = [headerFromObj];
+                    trackAbuse(userData._id, 'rewrite', { queueId: envelope.id });
+
+                    fromChanged = true;
+                    return finish();
+                }
+
+                normalizedAddress = tools.normalizeAddress(Buffer.from(headerFromObj.address, 'binary').toString());
+                normalizedAddress =
+                    normalizedAddress.substr(0, normalizedAddress.indexOf('@')).replace(/\./g, '') + normalizedAddress.substr(normalizedAddress.indexOf('@'));
+
+                if (addressData && addressData.addrview === normalizedAddress) {
+                    // same address
+                    return finish();
+                }
+
+                checkSender(Buffer.from(headerFromObj.address, 'binary').toString(), headerPolicy, (err, addressData) => {
+                    if (err) {
+                        return next(err);
+                    }
+
+                    if (addressData) {
+                        // can send mail as this user
+                        return finish();
+                    }
+
+                    if (headerPolicy === 'reject') {
+                        return next(rejectSender('From', headerFromObj.address));
+                    }
+
+                    metrics.rewrites.inc({ field: 'header_from', action: 'rewrite' });
+                    loggelf({
+                        short_message: '[RWFROM] ' + envelope.id,
+                        _mail_action: 'rw_header_from',
+                        _queue_id: envelope.id,
                         _header_from: headerFromObj.address,
                         _rewrite_from: envelope.from
                     });
@@ -341,21 +1029,80 @@ module.exports.init = function(app, done) {
                     );
 
                     headerFromObj.address = envelope.from;
+                    trackAbuse(userData._id, 'rewrite', { queueId: envelope.id });
 
-                    let rootNode = new MimeNode();
-                    let newHeaderFrom = rootNode._convertAddresses([headerFromObj]);
-
-                    envelope.headers.update('From', newHeaderFrom);
-                    envelope.headers.update('X-WildDuck-Original-From', headerFrom);
-
-                    next();
+                    // From: header is updated once all mailboxes are checked
+                    fromChanged = true;
+                    finish();
                 });
             });
         });
     });
 
+    // network rules of the envelope sender domain, rules of the primary address domain are checked on login
+    app.addHook('smtp:mail_from', (address, session, next) => {
+        if (!networkAccess.enabled || !checkInterface(session.interface) || !session.user || !address.address) {
+            return next();
+        }
+
+        getUser(session, (err, userData) => {
+            if (err) {
+                return next(err);
+            }
+
+            networkAccess
+                .check(userData._id, session.remoteAddress, address.address)
+                .then(access => {
+                    if (access.allowed && !access.flagged) {
+                        return next();
+                    }
+
+                    loggelf({
+                        short_message: '[MAIL FROM ' + (access.allowed ? 'FLAG' : 'DENY') + ':' + address.address + '] ' + session.id,
+
+                        _mail_action: 'mail_from_network',
+                        _user: userData._id.toString(),
+                        _from: address.address,
+                        _flagged: access.flagged ? 'yes' : '',
+                        _reason: access.reason,
+                        _country: access.country,
+
+                        _session_id: session.id,
+                        _ip: session.remoteAddress
+                    });
+
+                    app.logger.info(
+                        'Auth',
+                        '%s %s user=%s from=%s ip=%s country=%s reason=%s',
+                        session.id,
+                        access.allowed ? 'FROMFLAG' : 'FROMDENY',
+                        userData.username,
+                        address.address,
+                        session.remoteAddress,
+                        access.country || '-',
+                        access.reason || 'unexpected country'
+                    );
+
+                    if (access.allowed) {
+                        return next();
+                    }
+
+                    let err = new Error('Sending as this address is not allowed from this ' + (access.reason === 'country' ? 'country' : 'network'));
+                    err.responseCode = 550;
+                    err.name = 'SMTPResponse'; // do not throw
+                    next(err);
+                })
+                .catch(err => next(err));
+        });
+    });
+
     // Check if the user can send to yet another recipient
     app.addHook('smtp:rcpt_to', (address, session, next) => {
+        if (app.config.srs && app.config.srs.enabled && srsInterfaces.includes(session.interface) && srsHandler.isSRSAddress(address.address)) {
+            // bounce to a forwarded message, replace recipient with the original sender
+            return reverseSRS(address, session, next);
+        }
+
         if (!checkInterface(session.interface)) {
             return next();
         }
@@ -364,67 +1111,216 @@ module.exports.init = function(app, done) {
                 return next(err);
             }
 
-            if (!userData.recipients) {
-                return next();
+            let rejectRecipient = (limit, message, responseCode, info) => {
+                metrics.rcptLimits.inc({ limit });
+                if (!['per_message', 'asp_per_message'].includes(limit)) {
+                    // only count rolling limits, not per message recipient count
+                    trackAbuse(userData._id, 'limit');
+                }
+
+                loggelf({
+                    short_message: '[RCPT TO:' + address.address + '] ' + session.id,
+                    _user: userData._id.toString(),
+                    _to: address.address,
+                    _mail_action: 'rcpt_to',
+                    ['_' + limit]: 'yes',
+                    _rate_limit: 'yes',
+                    _error: info.error,
+                    _sent: info.sent,
+                    _allowed: info.allowed,
+                    _ttl: info.ttl
+                });
+
+                app.logger.info(
+                    'Sender',
+                    '%s RCPTDENY denied %s limit=%s sent=%s allowed=%s expires=%ss.',
+                    session.envelopeId,
+                    address.address,
+                    limit,
+                    info.sent,
+                    info.allowed,
+                    info.ttl || 0
+                );
+                let err = new Error(message);
+                err.responseCode = responseCode;
+                err.name = 'SMTPResponse';
+                return setImmediate(() => next(err));
+            };
+
+            if (userData.disabledScopes && userData.disabledScopes.includes('smtp')) {
+                // suspended while the session was already authenticated
+                let err = new Error('Sending mail is disabled for your account');
+                err.responseCode = 550;
+                err.name = 'SMTPResponse';
+                return next(err);
+            }
+
+            let maxPerMessage = getUserLimit(userData, 'recipientsPerMessage');
+            let rcptCount = ((session.envelope && session.envelope.rcptTo) || []).length;
+            if (maxPerMessage && rcptCount >= maxPerMessage) {
+                return rejectRecipient('per_message', 'Too many recipients, only ' + maxPerMessage + ' recipients are allowed for a single message', 452, {
+                    error: 'per message recipient limit reached',
+                    sent: rcptCount,
+                    allowed: maxPerMessage
+                });
+            }
+
+            let asp = session.aspRestrictions;
+            if (asp && aspRestrictions.isExpired(asp)) {
+                let err = new Error('Application specific password has expired');
+                err.responseCode = 550;
+                err.name = 'SMTPResponse';
+                return next(err);
+            }
+
+            if (asp && asp.recipientsPerMessage && rcptCount >= asp.recipientsPerMessage) {
+                return rejectRecipient(
+                    'asp_per_message',
+                    'Too many recipients, only ' + asp.recipientsPerMessage + ' recipients are allowed for a single message with this password',
+                    452,
+                    {
+                        error: 'application password per message recipient limit reached',
+                        sent: rcptCount,
+                        allowed: asp.recipientsPerMessage
+                    }
+                );
             }
 
-            ttlcounter('wdr:' + userData._id.toString(), 1, userData.recipients, false, (err, result) => {
+            // policy rules are checked before recipient counters are updated
+            let checkRecipientPolicy = done => {
+                if (!recipientPolicy.enabled) {
+                    return done();
+                }
+
+                recipientPolicy
+                    .check(userData, address.address)
+                    .then(match => {
+                        if (!match) {
+                            return done();
+                        }
+
+                        logPolicyMatch(match, userData, address.address, session);
+
+                        if (match.action === 'reject') {
+                            let err = new Error(match.rule.message || 'Sending to ' + address.address + ' is not allowed');
+                            err.responseCode = match.rule.responseCode;
+                            err.name = 'SMTPResponse';
+                            return next(err);
+                        }
+
+                        if (match.action === 'hold') {
+                            // copied to the queued envelope in smtp:data
+                            session.envelope.policyHold = (session.envelope.policyHold || []).concat({
+                                address: MessageHold.normalizeRecipient(address.address),
+                                rule: match.rule.id
+                            });
+                        }
+
+                        done();
+                    })
+                    .catch(next);
+            };
+
+            // daily recipient limit of the application specific password is checked before account limits
+            let checkAspLimit = done => {
+                if (!asp || !asp.recipients) {
+                    return done();
+                }
+
+                ttlcounter('wdra:' + asp.asp, 1, asp.recipients, 24 * 3600, (err, result) => {
+                    if (err) {
+                        return next(err);
+                    }
+
+                    if (!result.success) {
+                        return rejectRecipient(
+                            'asp_daily',
+                            'You reached a daily sending limit for this application password' +
+                                (result.ttl ? '. Limit expires in ' + formatTTL(result.ttl) : ''),
+                            550,
+                            {
+                                error: 'application password daily sending limit reached',
+                                sent: result.value,
+                                allowed: asp.recipients,
+                                ttl: result.ttl
+                            }
+                        );
+                    }
+
+                    done();
+                });
+            };
+
+            // every window is checked before any counter is updated, so a recipient rejected by
+            // the hourly or daily limit does not use up the budget of the other windows
+            let limits = recipientLimits.map(limit => ({ limit, allowed: getUserLimit(userData, limit.field) })).filter(entry => entry.allowed);
+
+            let pos = 0;
+            let sent = 0;
+
+            let checkLimitResult = (limit, allowed, err, result, done) => {
                 if (err) {
                     return next(err);
                 }
 
-                let success = result.success;
-                let sent = result.value;
                 let ttl = result.ttl;
+                sent = result.value;
 
-                let ttlHuman = false;
-                if (ttl) {
-                    if (ttl < 60) {
-                        ttlHuman = ttl + ' seconds';
-                    } else if (ttl < 3600) {
-                        ttlHuman = Math.round(ttl / 60) + ' minutes';
-                    } else {
-                        ttlHuman = Math.round(ttl / 3600) + ' hours';
-                    }
+                if (!result.success) {
+                    return rejectRecipient(limit.name, limit.message + (ttl ? '. Limit expires in ' + formatTTL(ttl) : ''), limit.responseCode, {
+                        error: limit.error,
+                        sent,
+                        allowed,
+                        ttl
+                    });
                 }
 
-                if (!success) {
+                done();
+            };
+
+            let updateNextLimit = () => {
+                if (pos >= limits.length) {
                     loggelf({
                         short_message: '[RCPT TO:' + address.address + '] ' + session.id,
+                        _user: userData._id.toString(),
+                        _from: session.envelope.mailFrom && session.envelope.mailFrom.address,
                         _to: address.address,
                         _mail_action: 'rcpt_to',
-                        _daily: 'yes',
-                        _rate_limit: 'yes',
-                        _error: 'daily sending limit reached'
+                        _allowed: 'yes'
                     });
 
                     app.logger.info(
                         'Sender',
-                        '%s RCPTDENY denied %s sent=%s allowed=%s expires=%ss.',
+                        '%s RCPTACCEPT accepted %s sent=%s allowed=%s',
                         session.envelopeId,
                         address.address,
                         sent,
-                        userData.recipients,
-                        ttl
+                        getUserLimit(userData, 'recipients')
                     );
-                    let err = new Error('You reached a daily sending limit for your account' + (ttl ? '. Limit expires in ' + ttlHuman : ''));
-                    err.responseCode = 550;
-                    err.name = 'SMTPResponse';
-                    return setImmediate(() => next(err));
+                    return next();
                 }
 
-                loggelf({
-                    short_message: '[RCPT TO:' + address.address + '] ' + session.id,
-                    _user: userData._id.toString(),
-                    _from: session.envelope.mailFrom && session.envelope.mailFrom.address,
-                    _to: address.address,
-                    _mail_action: 'rcpt_to',
-                    _allowed: 'yes'
-                });
+                let { limit, allowed } = limits[pos++];
+                // fails only if a parallel session used up the remaining budget after the check
+                ttlcounter(limit.prefix + userData._id.toString(), 1, allowed, limit.windowSize, (err, result) =>
+                    checkLimitResult(limit, allowed, err, result, updateNextLimit)
+                );
+            };
 
-                app.logger.info('Sender', '%s RCPTACCEPT accepted %s sent=%s allowed=%s', session.envelopeId, address.address, sent, userData.recipients);
-                next();
-            });
+            let checkNextLimit = () => {
+                if (pos >= limits.length) {
+                    pos = 0;
+                    return updateNextLimit();
+                }
+
+                let { limit, allowed } = limits[pos++];
+                // increment 0 returns the current value without updating the counter
+                ttlcounter(limit.prefix + userData._id.toString(), 0, allowed, limit.windowSize, (err, result) =>
+                    checkLimitResult(limit, allowed, err, result, checkNextLimit)
+                );
+            };
+
+            checkRecipientPolicy(() => checkAspLimit(checkNextLimit));
         });
     });
 
@@ -439,6 +1335,74 @@ module.exports.init = function(app, done) {
                 return next(err);
             }
 
+            if (abusePolicy.enabled || deliveryLog.enabled) {
+                // log entries of the message are resolved to the user by queue id
+                queueUsers
+                    .register(envelope.id, userData._id)
+                    .catch(err => app.logger.error('Rewrite', '%s Failed to register queue for user %s. %s', envelope.id, userData._id, err.message));
+            }
+
+            if (envelope.aspRestrictions) {
+                logAspEvent(userData._id, envelope.aspRestrictions, {
+                    action: 'asp submission',
+                    result: 'success',
+                    ip: envelope.origin,
+                    queueId: envelope.id
+                });
+            }
+
+            deliveryStatus
+                .registerQueue(envelope.id, userData._id, {
+                    recipients: envelope.to,
+                    subject: messageInfo.subject,
+                    messageId: messageInfo['message-id'],
+                    notice: getFailureNotice(userData)
+                })
+                .catch(err => app.logger.error('Rewrite', '%s DLVSTATFAIL user=%s error=%s', envelope.id, envelope.user, err.message));
+
+            if (envelope.deliverAt) {
+                // ownership of scheduled messages is checked against this record when cancelling
+                scheduledSending
+                    .schedule(envelope.id, userData._id, {
+                        deliverAt: envelope.deliverAt,
+                        from: envelope.from,
+                        recipients: envelope.to,
+                        subject: messageInfo.subject
+                    })
+                    .catch(err => app.logger.error('Rewrite', '%s Failed to store schedule for user %s. %s', envelope.id, userData._id, err.message));
+            }
+
+            let policy = getMessagePolicy(userData);
+            let checkAttachments = messagePolicy.needsAttachments(policy);
+
+            let rejectMessage = violation => {
+                loggelf({
+                    short_message: '[MSGPOLICY] ' + envelope.id,
+                    _mail_action: 'message_policy',
+                    _queue_id: envelope.id,
+                    _user: userData._id.toString(),
+                    _policy: violation.reason,
+                    _body_size: envelope.bodySize,
+                    _attachments: violation.attachments.map(attachment => attachment.filename || attachment.contentType).join(', '),
+                    _error: violation.message
+                });
+
+                app.logger.info('Rewrite', '%s MSGPOLICY user=%s reason=%s message=%s', envelope.id, envelope.user, violation.reason, violation.message);
+
+                let err = new Error(violation.message);
+                err.responseCode = violation.responseCode;
+                err.name = 'SMTPResponse'; // do not throw
+                return next(err);
+            };
+
+            let messageSize = envelope.headers.build().length + (envelope.bodySize || 0);
+            let violation = messagePolicy.checkMessage(policy, {
+                size: messageSize
+            });
+            if (violation) {
+                return rejectMessage(violation);
+            }
+
             database
                 .collection('audits')
                 .find({ user: userData._id })
@@ -460,17 +1424,26 @@ module.exports.init = function(app, done) {
                     });
 
                     let overQuota = userData.quota && userData.storageUsed > userData.quota;
-                    let addToSent = userData.uploadSentMessages && !overQuota && !app.config.disableUploads;
+                    let upload = sentUpload.check(sentUploadConfig, {
+                        enabled: userData.uploadSentMessages,
+                        override: envelope.sentUpload,
+                        client: sentUpload.getClient(envelope.headers),
+                        asp: envelope.aspRestrictions
+                    });
+                    let addToSent = upload.upload && !overQuota && !app.config.disableUploads;
+
+                    if (!upload.upload && upload.reason !== 'disabled') {
+                        app.logger.info('Rewrite', '%s MSAUPLSKIP user=%s message=skipped by %s', envelope.id, envelope.user, upload.reason);
+                        metrics.sentUploads.inc({ result: 'skip' });
+                    }
 
                     if (overQuota) {
                         // not enough storage
                         app.logger.info('Rewrite', '%s MSAUPLSKIP user=%s message=over quota', envelope.id, envelope.user);
-                        if (!audits.length) {
-                            return next();
-                        }
+                        metrics.sentUploads.inc({ result: 'skip' });
                     }
 
-                    if (!addToSent && !audits.length) {
+                    if (!addToSent && !audits.length && !checkAttachments && !scanner.enabled) {
                         // nothing to do here
                         return next();
                     }
@@ -490,20 +1463,56 @@ module.exports.init = function(app, done) {
                         }
                     });
                     body.once('error', err => next(err));
-                    body.once('end', () => {
-                        // Next we try to upload the message to Sent Mail folder
-                        // It doesn't really matter if it succeeds or not so we are not waiting until it's done
-                        setImmediate(next);
-
-                        // from now on use `return;` to end sequence as next() is already called
-
+                    body.once('end', async () => {
                         let raw = Buffer.concat(chunks, chunklen);
 
-                        let storeSentMessage = async () => {
-                            // Checks if the message needs to be encrypted before storing it
-                            let messageSource = raw;
+                        if (checkAttachments) {
+                            let violation;
+                            try {
+                                let prepared = await prepareMessage({
+                                    raw
+                                });
+                                violation = messagePolicy.checkMessage(policy, {
+                                    size: messageSize,
+                                    attachments: messagePolicy.getAttachments(prepared.mimeTree)
+                                });
+                            } catch (err) {
+                                return next(err);
+                            }
+                            if (violation) {
+                                return rejectMessage(violation);
+                            }
+                        }
 
-                            if (userData.encryptMessages && userData.pubKey) {
+                        let scanResult = false;
+                        if (scanner.enabled) {
+                            try {
+                                scanResult = await scanMessage(envelope, messageInfo, userData, raw);
+                            } catch (err) {
+                                return next(err);
+                            }
+                        }
+
+                        let heldAudits = auditHoldConfig.enabled ? audits.filter(auditData => auditHoldConfig.holdAll || auditData.hold) : [];
+                        if (heldAudits.length) {
+                            try {
+                                await holdAudited(envelope, userData, heldAudits);
+                            } catch (err) {
+                                return next(err);
+                            }
+                        }
+
+                        // Next we try to upload the message to Sent Mail folder
+                        // It doesn't really matter if it succeeds or not so we are not waiting until it's done
+                        setImmediate(next);
+
+                        // from now on use `return;` to end sequence as next() is already called
+
+                        let storeSentMessage = async () => {
+                            // Checks if the message needs to be encrypted before storing it
+                            let messageSource = raw;
+
+                            if (userData.encryptMessages && userData.pubKey) {
                                 try {
                                     let encrypted = await encryptMessage(userData.pubKey, raw);
                                     if (encrypted) {
@@ -513,59 +1522,61 @@ module.exports.init = function(app, done) {
                                     // ignore
                                 }
                             }
-                            try {
-                                let { data } = await addMessage({
-                                    user: userData._id,
-                                    specialUse: '\\Sent',
 
-                                    outbound: envelope.id,
+                            let meta = {
+                                source: 'SMTP',
+                                queueId: envelope.id,
+                                from: envelope.from,
+                                to: envelope.to,
+                                origin: envelope.origin,
+                                originhost: envelope.originhost,
+                                transhost: envelope.transhost,
+                                transtype: envelope.transtype,
+                                time: new Date()
+                            };
+
+                            if (scanResult) {
+                                meta.scan = scanResult;
+                            }
 
-                                    meta: {
-                                        source: 'SMTP',
-                                        queueId: envelope.id,
-                                        from: envelope.from,
-                                        to: envelope.to,
-                                        origin: envelope.origin,
-                                        originhost: envelope.originhost,
-                                        transhost: envelope.transhost,
-                                        transtype: envelope.transtype,
-                                        time: new Date()
-                                    },
+                            if (envelope.deliverAt) {
+                                // can be cancelled until the scheduled time
+                                meta.scheduled = new Date(envelope.deliverAt);
+                            }
 
-                                    date: false,
-                                    flags: ['\\Seen'],
-                                    raw: messageSource,
+                            let upload = {
+                                user: userData._id.toString(),
+                                username: envelope.user,
+                                queueId: envelope.id,
+                                target: sentUpload.getTarget(userData, sentUploadConfig),
+                                meta
+                            };
 
-                                    // if similar message exists, then skip
-                                    skipExisting: true
-                                });
+                            try {
+                                let data = await uploadSentCopy(upload, messageSource);
                                 if (data) {
                                     app.logger.info('Rewrite', '%s MSAUPLSUCC user=%s uid=%s', envelope.id, envelope.user, data.uid);
+                                    metrics.sentUploads.inc({ result: 'success' });
                                 } else {
                                     app.logger.info('Rewrite', '%s MSAUPLSKIP user=%s message=already exists', envelope.id, envelope.user);
+                                    metrics.sentUploads.inc({ result: 'skip' });
                                 }
                             } catch (err) {
                                 app.logger.error('Rewrite', '%s MSAUPLFAIL user=%s error=%s', envelope.id, envelope.user, err.message);
+                                metrics.sentUploads.inc({ result: 'fail' });
+                                retryUpload('sent', upload, messageSource, err);
                             }
                         };
 
                         let processAudits = async () => {
-                            const messageData = await prepareMessage({
-                                raw
-                            });
-
-                            if (messageData.attachments && messageData.attachments.length) {
-                                messageData.ha = messageData.attachments.some(a => !a.related);
-                            } else {
-                                messageData.ha = false;
-                            }
+                            let messageData = false;
 
                             for (let auditData of audits) {
-                                const auditMessage = await auditHandler.store(auditData._id, raw, {
+                                let upload = {
+                                    auditId: auditData._id.toString(),
+                                    user: userData._id.toString(),
+                                    queueId: envelope.id,
                                     date: now,
-                                    msgid: messageData.msgid,
-                                    header: messageData.mimeTree && messageData.mimeTree.parsedHeader,
-                                    ha: messageData.ha,
                                     info: {
                                         source: 'SMTP',
                                         queueId: envelope.id,
@@ -577,16 +1588,39 @@ module.exports.init = function(app, done) {
                                         transtype: envelope.transtype,
                                         time: new Date()
                                     }
-                                });
-                                app.logger.verbose(
-                                    'Rewrite',
-                                    '%s AUDITUPL user=%s coll=%s message=%s msgid=%s dst=%s',
-                                    envelope.id,
-                                    envelope.user,
-                                    'Stored message to audit base',
-                                    messageData.msgid,
-                                    auditMessage
-                                );
+                                };
+
+                                if (heldAudits.includes(auditData)) {
+                                    upload.info.held = true;
+                                }
+
+                                try {
+                                    // parsed once for all audits
+                                    messageData = messageData || (await prepareAuditData(raw));
+
+                                    const auditMessage = await uploadAuditCopy(upload, raw, messageData);
+                                    app.logger.verbose(
+                                        'Rewrite',
+                                        '%s AUDITUPL user=%s coll=%s message=%s msgid=%s dst=%s',
+                                        envelope.id,
+                                        envelope.user,
+                                        'Stored message to audit base',
+                                        messageData.msgid,
+                                        auditMessage
+                                    );
+                                    metrics.auditUploads.inc({ result: 'success' });
+                                } catch (err) {
+                                    app.logger.error(
+                                        'Rewrite',
+                                        '%s MSAUPLFAIL user=%s audit=%s error=%s',
+                                        envelope.id,
+                                        envelope.user,
+                                        upload.auditId,
+                                        err.message
+                                    );
+                                    metrics.auditUploads.inc({ result: 'fail' });
+                                    retryUpload('audit', upload, raw, err);
+                                }
                             }
                         };
 
@@ -595,7 +1629,7 @@ module.exports.init = function(app, done) {
                             storeSentMessage().catch(err =>
                                 app.logger.error('Rewrite', '%s MSAUPLFAIL user=%s error=%s', envelope.id, envelope.user, err.message)
                             );
-                        } else {
+                        } else if (audits.length) {
                             processAudits().catch(err =>
                                 app.logger.error('Rewrite', '%s MSAUPLFAIL user=%s error=%s', envelope.id, envelope.user, err.message)
                             );
@@ -605,6 +1639,110 @@ module.exports.init = function(app, done) {
         });
     });
 
+    // responses for held recipients, deliveries with these responses are not counted as delivery failures
+    const holdResponses = {
+        held: 'Message is held for review',
+        discarded: 'Message was not approved for delivery',
+        expired: 'Message was not released for delivery in time'
+    };
+    const isHoldResponse = entry => entry.category === 'policy' && Object.values(holdResponses).some(response => (entry.response || '').includes(response));
+
+    // held recipients are not delivered until released
+    app.addHook('sender:fetch', (delivery, next) => {
+        if (!delivery.recipient) {
+            return next();
+        }
+
+        messageHold
+            .check(delivery)
+            .then(holdData => {
+                if (!holdData || holdData.status === 'released') {
+                    return next();
+                }
+
+                let err = new Error(holdResponses[holdData.status]);
+                if (holdData.status === 'held') {
+                    // fetched before the hold expired, try again later
+                    err.response = '450 4.7.1 ' + err.message;
+                    err.action = 'defer';
+                } else {
+                    // the sender already knows about the decision, so no bounce
+                    err.response = '550 5.7.1 ' + err.message;
+                    err.action = 'reject';
+                    delivery.skipBounce = true;
+                }
+                err.category = 'policy';
+
+                app.logger.info(
+                    'Hold',
+                    '%s.%s HOLD%s to=%s reasons=%s',
+                    delivery.id,
+                    delivery.seq,
+                    holdData.status.toUpperCase(),
+                    delivery.recipient,
+                    holdData.reasons.join(',')
+                );
+                next(err);
+            })
+            .catch(err => {
+                // deferred as a connection error
+                app.logger.error('Hold', '%s.%s Failed to check hold status. %s', delivery.id, delivery.seq, err.message);
+                next(err);
+            });
+    });
+
+    // route recipients handled by the current WildDuck installation directly to LMTP
+    app.addHook('sender:fetch', (delivery, next) => {
+        if (!localDelivery.enabled || !delivery.recipient) {
+            return next();
+        }
+
+        resolveAddress(delivery.recipient, (err, addressData) => {
+            if (err) {
+                // fall back to normal MX delivery
+                app.logger.error('LMTP', '%s.%s DBFAIL Failed resolving "%s". %s', delivery.id, delivery.seq, delivery.recipient, err.message);
+                return next();
+            }
+
+            if (!addressData) {
+                // not a local address, use MX
+                return next();
+            }
+
+            let mx = {
+                priority: 0,
+                exchange: localDelivery.host,
+                A: [],
+                AAAA: []
+            };
+            if (net.isIPv4(localDelivery.host)) {
+                mx.A.push(localDelivery.host);
+            } else if (net.isIPv6(localDelivery.host)) {
+                mx.AAAA.push(localDelivery.host);
+            }
+
+            // LMTP server applies quota checks and filters for the recipient
+            delivery.mx = [mx];
+            delivery.mxPort = localDelivery.port;
+            delivery.mxSecure = false;
+            delivery.useLMTP = true;
+            localDeliveries.set(delivery.id + '.' + delivery.seq, true);
+
+            app.logger.info(
+                'LMTP',
+                '%s.%s LOCALDLVR Routing %s to %s:%s user=%s',
+                delivery.id,
+                delivery.seq,
+                delivery.recipient,
+                localDelivery.host,
+                localDelivery.port,
+                (addressData.user || '').toString() || (addressData.targets ? 'forward' : '')
+            );
+
+            next();
+        });
+    });
+
     // rewrite MAIL FROM: for messages forwarded by user filter
     app.addHook('sender:headers', (delivery, connection, next) => {
         // Forwarded header if present
@@ -613,25 +1751,25 @@ module.exports.init = function(app, done) {
         }
 
         if (!app.config.srs || !app.config.srs.enabled || !delivery.envelope.from || delivery.interface !== 'forwarder' || delivery.skipSRS) {
-            return next();
+            return sealForwarded(delivery, next);
         }
 
         let from = delivery.envelope.from || '';
 
-        let fromDomain = from.substr(from.lastIndexOf('@') + 1).toLowerCase();
-        let srsDomain = app.config.srs && app.config.srs.rewriteDomain;
         try {
-            delivery.envelope.from = srsRewriter.rewrite(from.substr(0, from.lastIndexOf('@')), fromDomain) + '@' + srsDomain;
+            delivery.envelope.from = srsHandler.rewrite(from);
             delivery.headers.add('X-Original-Sender', from, Infinity);
+            metrics.srs.inc({ action: 'rewrite', result: 'success' });
         } catch (E) {
             // failed rewriting address, keep as is
             app.logger.error('SRS', '%s.%s SRSFAIL Failed rewriting "%s". %s', delivery.id, delivery.seq, from, E.message);
+            metrics.srs.inc({ action: 'rewrite', result: 'fail' });
         }
 
         delivery.headers.add('X-Zone-Forwarded-For', from, Infinity);
         delivery.headers.add('X-Zone-Forwarded-To', delivery.envelope.to, Infinity);
 
-        next();
+        sealForwarded(delivery, next);
     });
 
     app.addHook('sender:connect', (delivery, options, next) => {
@@ -642,55 +1780,48 @@ module.exports.init = function(app, done) {
         let from = (delivery.envelope.from || (delivery.parsedEnvelope && delivery.parsedEnvelope.from) || '').toString();
         let fromDomain = from.substr(from.lastIndexOf('@') + 1);
 
-        let getKey = (domain, done) => {
-            dkimHandler.get({ domain }, true, (err, keyData) => {
-                if (err) {
-                    return done(err);
-                }
-                if (keyData) {
-                    return done(null, keyData);
-                }
-                dkimHandler.get({ domain: '*' }, true, (err, keyData) => {
-                    if (err) {
-                        return done(err);
-                    }
-                    if (keyData) {
-                        return done(null, keyData);
-                    }
-                    return done();
-                });
-            });
-        };
-
-        getKey(fromDomain, (err, keyData) => {
-            if (err && err.code !== 'DkimNotFound') {
-                app.logger.error('DKIM', '%s.%s DBFAIL Failed loading DKIM key "%s". %s', delivery.id, delivery.seq, fromDomain, err.message);
-                return next();
-            }
-
-            if (keyData) {
+        let addKeys = (domain, keys) => {
+            keys.forEach(keyData => {
                 delivery.dkim.keys.push({
-                    domainName: tools.normalizeDomain(fromDomain),
+                    domainName: tools.normalizeDomain(domain),
                     keySelector: keyData.selector,
                     privateKey: keyData.privateKey
                 });
-            }
+            });
 
-            if (!app.config.signTransportDomain || delivery.dkim.keys.find(key => key.domainName === delivery.zoneAddress.name)) {
-                return next();
+            if (keys.length) {
+                app.logger.info(
+                    'DKIM',
+                    '%s.%s DKIMKEYS domain=%s selectors=%s',
+                    delivery.id,
+                    delivery.seq,
+                    domain,
+                    keys.map(keyData => keyData.selector + (keyData.domain === '*' ? '[*]' : '') + ':' + keyData.status).join(',')
+                );
             }
+        };
 
-            getKey(delivery.zoneAddress.name, (err, keyData) => {
-                if (!err && keyData) {
-                    delivery.dkim.keys.push({
-                        domainName: tools.normalizeDomain(delivery.zoneAddress.name),
-                        keySelector: keyData.selector,
-                        privateKey: keyData.privateKey
-                    });
+        getDkimKeys(fromDomain)
+            .catch(err => {
+                app.logger.error('DKIM', '%s.%s DBFAIL Failed loading DKIM key "%s". %s', delivery.id, delivery.seq, fromDomain, err.message);
+                return false;
+            })
+            .then(keys => {
+                if (!keys) {
+                    return next();
                 }
-                return next();
+
+                addKeys(fromDomain, keys);
+
+                if (!app.config.signTransportDomain || delivery.dkim.keys.find(key => key.domainName === delivery.zoneAddress.name)) {
+                    return next();
+                }
+
+                getDkimKeys(delivery.zoneAddress.name)
+                    .then(keys => addKeys(delivery.zoneAddress.name, keys))
+                    .catch(() => false)
+                    .then(() => next());
             });
-        });
     });
 
     app.addHook('log:entry', (entry, next) => {
@@ -701,12 +1832,45 @@ module.exports.init = function(app, done) {
             _queue_id_seq: (entry.seq || '').toString()
         };
 
+        if (entry.action === 'QUEUED') {
+            // recipients of a held message that are not held can be delivered immediately
+            messageHold.releaseUnheld(entry.id).catch(err => app.logger.error('Hold', '%s Failed to release recipients. %s', entry.id, err.message));
+        }
+
         let updateAudited = (status, info) => {
             auditHandler
                 .updateDeliveryStatus(entry.id, entry.seq, status, info)
                 .catch(err => app.logger.error('Rewrite', '%s.%s LOGERR %s', entry.id, entry.seq, err.message));
         };
 
+        if (abusePolicy.enabled && ['ACCEPTED', 'DEFERRED', 'REJECTED'].includes(entry.action) && !isHoldResponse(entry)) {
+            abusePolicy
+                .resolveQueue(entry.id)
+                .then(user => {
+                    if (user) {
+                        trackAbuse(user, entry.action.toLowerCase(), { queueId: entry.id });
+                    }
+                })
+                .catch(err => app.logger.error('Abuse', '%s.%s Failed to resolve queue user. %s', entry.id, entry.seq, err.message));
+        }
+
+        if (deliveryLog.enabled) {
+            deliveryLog
+                .store(entry)
+                .catch(err => app.logger.error('DeliveryLog', '%s.%s Failed to store %s. %s', entry.id, entry.seq, entry.action, err.message));
+        }
+
+        if (deliveryStatus.enabled && ['ACCEPTED', 'DEFERRED', 'REJECTED'].includes(entry.action)) {
+            deliveryStatus
+                .update(entry)
+                .then(queue => {
+                    if (queue && queue.notice && entry.action === 'REJECTED' && !isHoldResponse(entry)) {
+                        return storeFailureNotice(entry, queue);
+                    }
+                })
+                .catch(err => app.logger.error('Rewrite', '%s.%s DLVSTATFAIL error=%s', entry.id, entry.seq, err.message));
+        }
+
         switch (entry.action) {
             case 'QUEUED':
                 {
@@ -837,6 +2001,17 @@ module.exports.init = function(app, done) {
                 break;
         }
 
+        if (localDelivery.enabled && ['ACCEPTED', 'DEFERRED', 'REJECTED'].includes(entry.action)) {
+            // delivered to the local LMTP server instead of a remote MX, log entries are created by the same sender process
+            let key = entry.id + '.' + entry.seq;
+            if (entry.protocol === 'lmtp' || localDeliveries.get(key)) {
+                message._local_delivery = 'yes';
+            }
+            if (entry.action !== 'DEFERRED') {
+                localDeliveries.delete(key);
+            }
+        }
+
         if (message.short_message) {
             loggelf(message);
         }
@@ -851,6 +2026,1049 @@ module.exports.init = function(app, done) {
         return false;
     }
 
+    // accepts identities from XCLIENT LOGIN only from trusted proxies
+    function authenticateXClient(auth, session, next) {
+        // ADDR:DEFAULT is the address of the proxy itself, remoteAddress is the client address provided by the proxy
+        let proxyAddress = (session.xClient && session.xClient.get('ADDR:DEFAULT')) || session.remoteAddress;
+
+        let fail = (reason, userData) => {
+            let err = new Error('Authentication failed');
+            err.responseCode = 535;
+            err.name = 'SMTPResponse'; // do not throw
+
+            loggelf({
+                short_message: '[AUTH FAIL:' + auth.username + '] ' + session.id,
+
+                _auth_fail: 'yes',
+                _mail_action: 'auth',
+                _username: auth.username,
+                _xclient: 'yes',
+                _proxy_ip: proxyAddress,
+                _reason: reason,
+
+                _session_id: session.id,
+                _ip: session.remoteAddress
+            });
+
+            app.logger.info('Auth', '%s XCLIENTFAIL user=%s ip=%s proxy=%s reason=%s', session.id, auth.username, session.remoteAddress, proxyAddress, reason);
+
+            if (userData) {
+                userHandler
+                    .logAuthEvent(userData._id, {
+                        action: 'authentication',
+                        result: 'fail',
+                        source: 'xclient',
+                        protocol: 'SMTP',
+                        ip: session.remoteAddress,
+                        proxy: proxyAddress,
+                        reason
+                    })
+                    .catch(err => app.logger.error('Auth', '%s Failed to store authlog entry. %s', session.id, err.message));
+            }
+
+            metrics.auth.inc({ result: 'fail' });
+            next(err);
+        };
+
+        if (xclientConfig.requireTLS && !session.secure) {
+            return fail('insecure connection');
+        }
+
+        if (!isTrustedProxy(proxyAddress)) {
+            return fail('untrusted proxy');
+        }
+
+        if (xclientConfig.secret) {
+            // proxy sends the shared secret as "PROTO=secret". smtp-server logs the LOGIN value on
+            // failed authentication and ADDR, NAME and PORT values always, PROTO is only stored
+            let secret = (session.xClient && session.xClient.get('PROTO')) || '';
+
+            let expected = crypto
+                .createHash('sha256')
+                .update(xclientConfig.secret.toString())
+                .digest();
+            let provided = crypto
+                .createHash('sha256')
+                .update(secret)
+                .digest();
+            if (!secret || !crypto.timingSafeEqual(expected, provided)) {
+                return fail('invalid secret');
+            }
+        }
+
+        userHandler.get(
+            auth.username,
+            { username: true, address: true, disabled: true, suspended: true, disabledScopes: true, enabled2fa: true },
+            (err, userData) => {
+                if (err) {
+                    return next(err);
+                }
+
+                if (!userData) {
+                    return fail('unknown user');
+                }
+
+                if (xclientConfig.checkUser) {
+                    // same account checks that are applied for password authentication
+                    let enabled2fa = Array.isArray(userData.enabled2fa) ? userData.enabled2fa : [].concat(userData.enabled2fa ? 'totp' : []);
+                    if (userData.disabled) {
+                        return fail('disabled', userData);
+                    }
+                    if (userData.suspended) {
+                        return fail('suspended', userData);
+                    }
+                    if (userData.disabledScopes && userData.disabledScopes.includes('smtp')) {
+                        return fail('smtp disabled', userData);
+                    }
+                    if (enabled2fa.length && !xclientConfig.allow2fa) {
+                        return fail('2fa required', userData);
+                    }
+                }
+
+                let result = { user: userData._id, username: userData.username, scope: 'master' };
+                let checkAccess = done => (xclientConfig.checkUser ? checkNetworkAccess(result, auth, session, done) : done());
+
+                checkAccess(err => {
+                    if (err) {
+                        return next(err);
+                    }
+
+                    metrics.auth.inc({ result: 'success' });
+                    loggelf({
+                        short_message: '[AUTH OK:' + auth.username + '] ' + session.id,
+
+                        _auth_ok: 'yes',
+                        _mail_action: 'auth',
+                        _username: auth.username,
+                        _xclient: 'yes',
+                        _proxy_ip: proxyAddress,
+
+                        _session_id: session.id,
+                        _ip: session.remoteAddress
+                    });
+
+                    userHandler
+                        .logAuthEvent(userData._id, {
+                            action: 'authentication',
+                            result: 'success',
+                            source: 'xclient',
+                            protocol: 'SMTP',
+                            ip: session.remoteAddress,
+                            proxy: proxyAddress
+                        })
+                        .catch(err => app.logger.error('Auth', '%s Failed to store authlog entry. %s', session.id, err.message));
+
+                    auth.username = userData.username + '[' + auth.username + ']';
+                    next();
+                });
+            }
+        );
+    }
+
+    // validates an OAuth2 bearer token, token subject must resolve to the same user as the login username
+    function authenticateToken(auth, session, next) {
+        let token = auth.accessToken || auth.password;
+
+        let fail = (reason, userData) => {
+            let err = new Error('Authentication failed');
+            err.responseCode = 535;
+            err.name = 'SMTPResponse'; // do not throw
+
+            loggelf({
+                short_message: '[AUTH FAIL:' + auth.username + '] ' + session.id,
+
+                _auth_fail: 'yes',
+                _mail_action: 'auth',
+                _username: auth.username,
+                _oauth: 'yes',
+                _reason: reason,
+
+                _session_id: session.id,
+                _ip: session.remoteAddress
+            });
+
+            app.logger.info('Auth', '%s OAUTHFAIL user=%s ip=%s reason=%s', session.id, auth.username, session.remoteAddress, reason);
+
+            if (userData) {
+                userHandler
+                    .logAuthEvent(userData._id, {
+                        action: 'authentication',
+                        result: 'fail',
+                        source: 'oauth',
+                        protocol: 'SMTP',
+                        ip: session.remoteAddress,
+                        reason
+                    })
+                    .catch(err => app.logger.error('Auth', '%s Failed to store authlog entry. %s', session.id, err.message));
+            }
+
+            metrics.auth.inc({ result: 'fail' });
+            registerAuthFailure(auth, session);
+            next(err);
+        };
+
+        if (!oauthTokens.enabled) {
+            return fail('OAuth2 is not enabled');
+        }
+
+        let authenticate = async () => {
+            let tokenInfo;
+            try {
+                tokenInfo = await oauthTokens.verify(token);
+            } catch (err) {
+                if (err.code === 'InvalidToken') {
+                    return fail(err.message);
+                }
+                // introspection endpoint failed, client can retry later
+                err.responseCode = 454;
+                err.name = 'SMTPResponse'; // do not throw
+                throw err;
+            }
+
+            let userData = await userHandler.get(tokenInfo.subject, { username: true, address: true, disabledScopes: true });
+            if (!userData) {
+                return fail('unknown token subject');
+            }
+
+            let loginData = await userHandler.get(auth.username, {});
+            if (!loginData || loginData._id.toString() !== userData._id.toString()) {
+                return fail('token does not belong to ' + auth.username, userData);
+            }
+
+            if (userData.disabled || userData.suspended || (userData.disabledScopes && userData.disabledScopes.includes('smtp'))) {
+                return fail('account disabled', userData);
+            }
+
+            let result = { user: userData._id, username: userData.username, scope: 'oauth' };
+            checkNetworkAccess(result, auth, session, err => {
+                if (err) {
+                    return next(err);
+                }
+
+                metrics.auth.inc({ result: 'success' });
+                loggelf({
+                    short_message: '[AUTH OK:' + auth.username + '] ' + session.id,
+
+                    _auth_ok: 'yes',
+                    _mail_action: 'auth',
+                    _username: auth.username,
+                    _oauth: 'yes',
+                    _scope: result.scope,
+
+                    _session_id: session.id,
+                    _ip: session.remoteAddress
+                });
+
+                userHandler
+                    .logAuthEvent(userData._id, {
+                        action: 'authentication',
+                        result: 'success',
+                        source: 'oauth',
+                        protocol: 'SMTP',
+                        ip: session.remoteAddress
+                    })
+                    .catch(err => app.logger.error('Auth', '%s Failed to store authlog entry. %s', session.id, err.message));
+
+                authThrottle
+                    .reset(session.remoteAddress, auth.username)
+                    .catch(err => app.logger.error('Auth', '%s Failed to reset auth counters. %s', session.id, err.message));
+
+                auth.username = userData.username + '[' + auth.username + ']';
+                next();
+            });
+        };
+
+        authenticate().catch(err => next(err));
+    }
+
+    // rejects authentication attempts if too many attempts have failed recently
+    function checkAuthThrottle(auth, session, callback) {
+        authThrottle
+            .check(session.remoteAddress, auth.username)
+            .catch(err => {
+                // do not block authentication if counters are not available
+                app.logger.error('Auth', '%s Failed to check auth counters. %s', session.id, err.message);
+                return false;
+            })
+            .then(blocked => {
+                if (!blocked) {
+                    return callback();
+                }
+
+                app.logger.info(
+                    'Auth',
+                    '%s AUTHTHROTTLE user=%s ip=%s limit=%s failures=%s ttl=%s',
+                    session.id,
+                    auth.username,
+                    session.remoteAddress,
+                    blocked.limit,
+                    blocked.value,
+                    blocked.ttl
+                );
+                metrics.auth.inc({ result: 'throttled' });
+
+                let err = new Error('Too many failed authentication attempts, try again in ' + formatTTL(blocked.ttl));
+                err.responseCode = blocked.responseCode;
+                err.name = 'SMTPResponse'; // do not throw
+                callback(err);
+            });
+    }
+
+    // rejects authentication if the user is not allowed to submit from the client network or country
+    function checkNetworkAccess(result, auth, session, callback) {
+        networkAccess
+            .check(result.user, session.remoteAddress)
+            .then(access => {
+                if (access.allowed && !access.flagged) {
+                    return callback();
+                }
+
+                loggelf({
+                    short_message: '[AUTH ' + (access.allowed ? 'FLAG' : 'DENY') + ':' + auth.username + '] ' + session.id,
+
+                    _auth_fail: access.allowed ? '' : 'yes',
+                    _auth_flagged: access.flagged ? 'yes' : '',
+                    _mail_action: 'auth_network',
+                    _username: auth.username,
+                    _user: result.user.toString(),
+                    _reason: access.reason,
+                    _country: access.country,
+
+                    _session_id: session.id,
+                    _ip: session.remoteAddress
+                });
+
+                app.logger.info(
+                    'Auth',
+                    '%s %s user=%s ip=%s country=%s reason=%s',
+                    session.id,
+                    access.allowed ? 'AUTHFLAG' : 'AUTHDENY',
+                    auth.username,
+                    session.remoteAddress,
+                    access.country || '-',
+                    access.reason || 'unexpected country'
+                );
+
+                if (access.allowed) {
+                    return callback();
+                }
+
+                metrics.auth.inc({ result: 'denied' });
+
+                let err = new Error('Authentication not allowed from this ' + (access.reason === 'country' ? 'country' : 'network'));
+                err.responseCode = 535;
+                err.name = 'SMTPResponse'; // do not throw
+                callback(err);
+            })
+            .catch(err => callback(err));
+    }
+
+    // loads sending restrictions if an application specific password was used
+    function loadAspRestrictions(result, auth, session, callback) {
+        if (!result.asp) {
+            return callback();
+        }
+
+        aspRestrictions
+            .load(usersdb, result.user, result.asp)
+            .then(restrictions => {
+                if (aspRestrictions.isExpired(restrictions)) {
+                    logAspEvent(result.user, restrictions, {
+                        action: 'asp smtp',
+                        result: 'fail',
+                        reason: 'expired',
+                        ip: session.remoteAddress
+                    });
+
+                    let err = new Error('Application specific password has expired');
+                    err.responseCode = 535;
+                    err.name = 'SMTPResponse'; // do not throw
+                    return callback(err);
+                }
+
+                session.aspRestrictions = restrictions;
+                callback();
+            })
+            .catch(err => callback(err));
+    }
+
+    // returns an error if envelope or header sender is not allowed for the application specific password
+    function checkAspSenders(envelope) {
+        let asp = envelope.aspRestrictions;
+
+        let senders = [envelope.from];
+        let headerFrom = envelope.headers.getFirst('from');
+        if (headerFrom) {
+            senders = senders.concat(flattenAddresses(addressparser(headerFrom)).map(addressObj => addressObj.address));
+        }
+
+        let address = senders.find(address => address && !aspRestrictions.isAllowedSender(asp, address));
+        if (!address && !aspRestrictions.isExpired(asp)) {
+            return false;
+        }
+
+        let reason = address ? 'sender' : 'expired';
+
+        loggelf({
+            short_message: '[ASP REJECT] ' + envelope.id,
+            _mail_action: 'asp_reject',
+            _queue_id: envelope.id,
+            _asp: asp.asp,
+            _reason: reason,
+            _from: address
+        });
+
+        app.logger.info('Rewrite', '%s ASPREJECT user=%s asp=%s reason=%s from=%s', envelope.id, envelope.user, asp.asp, reason, address || '-');
+
+        getUser(envelope, (err, userData) => {
+            if (!err && userData) {
+                logAspEvent(userData._id, asp, {
+                    action: 'asp submission',
+                    result: 'fail',
+                    reason,
+                    ip: envelope.origin,
+                    queueId: envelope.id
+                });
+            }
+        });
+
+        let err = new Error(
+            address ? 'Sender address ' + address + ' is not allowed for this application password' : 'Application specific password has expired'
+        );
+        err.responseCode = 550;
+        err.name = 'SMTPResponse'; // do not throw
+        return err;
+    }
+
+    // stores a copy of an outbound message to the target mailbox, upload info is JSON serializable for the retry list
+    async function uploadSentCopy(upload, raw) {
+        let meta = Object.assign({}, upload.meta, { time: new Date(upload.meta.time) });
+        if (meta.scheduled) {
+            meta.scheduled = new Date(meta.scheduled);
+        }
+
+        let uploadOptions = {
+            user: new ObjectID(upload.user),
+
+            outbound: upload.queueId,
+
+            meta,
+
+            date: false,
+            flags: ['\\Seen'],
+            raw,
+
+            // if similar message exists, then skip
+            skipExisting: true
+        };
+        let target = upload.target || { specialUse: '\\Sent' };
+
+        let data;
+        try {
+            ({ data } = await addMessage(Object.assign({}, uploadOptions, target)));
+        } catch (err) {
+            if (err.imapResponse !== 'TRYCREATE' || target.specialUse === '\\Sent') {
+                throw err;
+            }
+            // configured mailbox does not exist, use the default Sent Mail folder
+            app.logger.info('Rewrite', '%s MSAUPLFALLBACK user=%s mailbox=%s', upload.queueId, upload.username, target.path || target.specialUse);
+            ({ data } = await addMessage(Object.assign({}, uploadOptions, { specialUse: '\\Sent' })));
+        }
+
+        if (data) {
+            // delivery might have already started, so apply current status to the stored copy
+            deliveryStatus
+                .setMessage(upload.queueId, data.id, data.mailbox)
+                .catch(err => app.logger.error('Rewrite', '%s DLVSTATFAIL user=%s error=%s', upload.queueId, upload.username, err.message));
+        }
+
+        return data;
+    }
+
+    async function prepareAuditData(raw) {
+        const messageData = await prepareMessage({
+            raw
+        });
+
+        if (messageData.attachments && messageData.attachments.length) {
+            messageData.ha = messageData.attachments.some(a => !a.related);
+        } else {
+            messageData.ha = false;
+        }
+
+        return messageData;
+    }
+
+    // stores a copy of an outbound message to an audit
+    async function uploadAuditCopy(upload, raw, messageData) {
+        messageData = messageData || (await prepareAuditData(raw));
+
+        return await auditHandler.store(new ObjectID(upload.auditId), raw, {
+            date: new Date(upload.date),
+            msgid: messageData.msgid,
+            header: messageData.mimeTree && messageData.mimeTree.parsedHeader,
+            ha: messageData.ha,
+            info: Object.assign({}, upload.info, { time: new Date(upload.info.time) })
+        });
+    }
+
+    // failed uploads are retried later if the retry list is enabled
+    function retryUpload(type, upload, raw, err) {
+        if (!uploadRetry.enabled) {
+            return;
+        }
+        uploadRetry
+            .add(type, upload, raw, err)
+            .then(id => app.logger.info('Rewrite', '%s MSAUPLRETRY type=%s job=%s', upload.queueId, type, id))
+            .catch(err => app.logger.error('Rewrite', '%s MSAUPLRETRYFAIL type=%s error=%s', upload.queueId, type, err.message));
+    }
+
+    function logUploadRetry(job) {
+        metrics.uploadRetries.inc({ type: job.type, result: job.result });
+
+        if (job.result === 'success') {
+            app.logger.info('Rewrite', '%s MSAUPLRETRYSUCC type=%s job=%s attempts=%s', job.data.queueId, job.type, job.id, job.attempts);
+            return;
+        }
+
+        app.logger.error(
+            'Rewrite',
+            '%s MSAUPLRETRY%s type=%s job=%s attempts=%s error=%s',
+            job.data.queueId,
+            job.result === 'dead' ? 'DEAD' : 'FAIL',
+            job.type,
+            job.id,
+            job.attempts,
+            job.error
+        );
+
+        if (job.result === 'dead') {
+            // upload is not retried anymore, needs manual action
+            loggelf({
+                short_message: '[UPLOAD DEAD] ' + job.data.queueId,
+                _mail_action: 'upload_dead_letter',
+                _alert: 'yes',
+                _queue_id: job.data.queueId,
+                _user: job.data.user,
+                _audit: job.data.auditId,
+                _upload_type: job.type,
+                _job_id: job.id,
+                _attempts: job.attempts,
+                _error: job.error
+            });
+        }
+    }
+
+    // scans an outbound message, the message is rejected, held or marked with headers depending on the score
+    async function scanMessage(envelope, messageInfo, userData, raw) {
+        let result;
+        try {
+            result = await scanner.scan(raw, {
+                id: envelope.id,
+                from: envelope.from,
+                to: envelope.to,
+                ip: envelope.origin,
+                user: userData.username,
+                hostname: envelope.originhost
+            });
+        } catch (err) {
+            metrics.scans.inc({ action: 'error' });
+            app.logger.error('Scanner', '%s SCANFAIL user=%s error=%s', envelope.id, envelope.user, err.message);
+            if (scanner.failAction === 'tempfail') {
+                let error = new Error('Message could not be scanned, try again later');
+                error.responseCode = 451;
+                error.name = 'SMTPResponse'; // do not throw
+                throw error;
+            }
+            return false;
+        }
+
+        let action = scanner.getAction(result, userData.scanThresholds) || 'accept';
+        let symbols = result.symbols.map(symbol => symbol.name + '=' + symbol.score).join(',');
+
+        metrics.scans.inc({ action });
+
+        // included in the QUEUED log entry
+        messageInfo.score = result.score.toFixed(2);
+        if (symbols) {
+            messageInfo.symbols = symbols;
+        }
+        if (result.virus) {
+            messageInfo.virus = result.virus;
+        }
+
+        loggelf({
+            short_message: '[SCAN] ' + envelope.id,
+            _mail_action: 'scan',
+            _queue_id: envelope.id,
+            _user: userData._id.toString(),
+            _spam_score: result.score,
+            _spam_symbols: symbols,
+            _scan_action: action,
+            _virus: result.virus
+        });
+
+        app.logger.info(
+            'Scanner',
+            '%s SCAN user=%s score=%s action=%s%s',
+            envelope.id,
+            envelope.user,
+            messageInfo.score,
+            action,
+            result.virus ? ' virus="' + result.virus + '"' : ''
+        );
+
+        if (action === 'reject') {
+            let err = new Error(result.virus ? 'Message contains a virus (' + result.virus + ')' : 'Message was detected as spam');
+            err.responseCode = 550;
+            err.name = 'SMTPResponse'; // do not throw
+            throw err;
+        }
+
+        if (action === 'hold') {
+            envelope.deferDelivery = await messageHold.hold(envelope.id, {
+                user: userData._id,
+                reason: 'scan',
+                recipients: envelope.to,
+                deliverAt: envelope.deliverAt
+            });
+        }
+
+        if (action === 'hold' || action === 'headers') {
+            envelope.headers.add('X-Spam', 'Yes');
+            envelope.headers.add('X-Spam-Status', 'Yes, score=' + messageInfo.score + (symbols ? ' tests=' + symbols : ''));
+        }
+
+        return {
+            action,
+            score: result.score,
+            symbols: result.symbols,
+            virus: result.virus
+        };
+    }
+
+    // messages of audited users are kept back from delivery until a reviewer releases or discards these
+    async function holdAudited(envelope, userData, audits) {
+        envelope.deferDelivery = await messageHold.hold(envelope.id, {
+            user: userData._id,
+            reason: 'audit',
+            recipients: envelope.to,
+            deliverAt: envelope.deliverAt,
+            holdTime: (Number(auditHoldConfig.timeout) || 72 * 3600) * 1000,
+            timeoutAction: auditHoldConfig.timeoutAction
+        });
+
+        loggelf({
+            short_message: '[HOLD] ' + envelope.id,
+            _mail_action: 'hold',
+            _queue_id: envelope.id,
+            _user: userData._id.toString(),
+            _hold_reason: 'audit',
+            _audits: audits.map(auditData => auditData._id.toString()).join(', '),
+            _to: envelope.to.join(', '),
+            _hold_expires: new Date(envelope.deferDelivery).toISOString()
+        });
+
+        app.logger.info('Hold', '%s HOLD user=%s reason=audit audits=%s', envelope.id, userData.username, audits.map(auditData => auditData._id).join(','));
+    }
+
+    async function decideHold(queueId, status, options) {
+        let holdData = await messageHold.decide(queueId, status, options);
+        if (holdData) {
+            logHoldDecision(holdData);
+        }
+        return holdData;
+    }
+
+    // review decisions are logged to GELF, to the delivery log and to audit copies of the message
+    function logHoldDecision(holdData) {
+        metrics.holdDecisions.inc({ status: holdData.status });
+
+        loggelf({
+            short_message: '[HOLD ' + holdData.status.toUpperCase() + '] ' + holdData.queueId,
+            _mail_action: 'hold_decision',
+            _queue_id: holdData.queueId,
+            _user: holdData.user && holdData.user.toString(),
+            _hold_reason: holdData.reasons.join(', '),
+            _hold_status: holdData.status,
+            _to: holdData.recipients.join(', '),
+            _decided_by: holdData.decidedBy,
+            _comment: holdData.comment
+        });
+
+        app.logger.info(
+            'Hold',
+            '%s HOLD%s reasons=%s decidedBy=%s',
+            holdData.queueId,
+            holdData.status.toUpperCase(),
+            holdData.reasons.join(','),
+            holdData.decidedBy || '-'
+        );
+
+        if (holdData.reasons.includes('audit')) {
+            auditHandler
+                .updateDeliveryStatus(holdData.queueId, '', holdData.status, {
+                    recipients: holdData.recipients,
+                    decidedBy: holdData.decidedBy,
+                    comment: holdData.comment
+                })
+                .catch(err => app.logger.error('Hold', '%s Failed to store audit decision. %s', holdData.queueId, err.message));
+        }
+
+        if (deliveryLog.enabled) {
+            deliveryLog
+                .store({
+                    id: holdData.queueId,
+                    action: holdData.status.toUpperCase(),
+                    to: holdData.recipients.join(', '),
+                    response: holdData.comment,
+                    decidedBy: holdData.decidedBy,
+                    created: holdData.decided
+                })
+                .catch(err => app.logger.error('DeliveryLog', '%s Failed to store %s. %s', holdData.queueId, holdData.status, err.message));
+        }
+    }
+
+    // recipient policy matches are logged to GELF and stored to the policy audit collection
+    function logPolicyMatch(match, userData, recipient, session) {
+        metrics.recipientPolicy.inc({ action: match.action });
+
+        loggelf({
+            short_message: '[POLICY ' + match.action.toUpperCase() + '] ' + session.id,
+            _mail_action: 'recipient_policy',
+            _session_id: session.id,
+            _queue_id: session.envelopeId,
+            _user: userData._id.toString(),
+            _from: session.envelope.mailFrom && session.envelope.mailFrom.address,
+            _to: recipient,
+            _policy_action: match.action,
+            _policy_rule: match.rule.id,
+            _policy_matches: match.matches.map(rule => rule.id).join(', '),
+            _ip: session.remoteAddress
+        });
+
+        app.logger.info(
+            'Policy',
+            '%s POLICY%s user=%s to=%s rule=%s',
+            session.envelopeId,
+            match.action.toUpperCase(),
+            userData.username,
+            recipient,
+            match.rule.id
+        );
+
+        recipientPolicy
+            .logMatch(match, {
+                user: userData._id,
+                queueId: session.envelopeId,
+                from: session.envelope.mailFrom && session.envelope.mailFrom.address,
+                recipient,
+                ip: session.remoteAddress
+            })
+            .catch(err => app.logger.error('Policy', '%s Failed to store policy match. %s', session.envelopeId, err.message));
+    }
+
+    // stores application specific password usage to the authlog of the user
+    function logAspEvent(user, asp, entry) {
+        userHandler
+            .logAuthEvent(
+                user,
+                Object.assign(
+                    {
+                        protocol: 'SMTP',
+                        asp: new ObjectID(asp.asp),
+                        aname: asp.description
+                    },
+                    entry
+                )
+            )
+            .catch(err => app.logger.error('Auth', 'Failed to store authlog entry for %s. %s', user, err.message));
+    }
+
+    function registerAuthFailure(auth, session) {
+        authThrottle
+            .registerFailure(session.remoteAddress, auth.username)
+            .then(started => {
+                started.forEach(block => {
+                    loggelf({
+                        short_message: '[AUTH BLOCK:' + auth.username + '] ' + session.id,
+
+                        _auth_block: 'yes',
+                        _mail_action: 'auth_block',
+                        _username: auth.username,
+                        _block_limit: block.limit,
+                        _failures: block.value,
+                        _block_ttl: block.ttl,
+
+                        _session_id: session.id,
+                        _ip: session.remoteAddress
+                    });
+
+                    app.logger.info(
+                        'Auth',
+                        '%s AUTHBLOCK user=%s ip=%s limit=%s failures=%s ttl=%s',
+                        session.id,
+                        auth.username,
+                        session.remoteAddress,
+                        block.limit,
+                        block.value,
+                        block.ttl
+                    );
+                });
+            })
+            .catch(err => app.logger.error('Auth', '%s Failed to update auth counters. %s', session.id, err.message));
+    }
+
+    function reverseSRS(address, session, next) {
+        let srsAddress = address.address;
+        let reversed;
+
+        try {
+            reversed = srsHandler.reverse(srsAddress);
+        } catch (err) {
+            loggelf({
+                short_message: '[SRS REVERSE FAIL:' + srsAddress + '] ' + session.id,
+                _mail_action: 'srs_reverse',
+                _to: srsAddress,
+                _srs_fail: 'yes',
+                _error: err.message,
+                _error_code: err.code,
+                _session_id: session.id,
+                _ip: session.remoteAddress
+            });
+
+            app.logger.info('SRS', '%s SRSREJECT to=%s code=%s error=%s', session.envelopeId || session.id, srsAddress, err.code, err.message);
+            metrics.srs.inc({ action: 'reverse', result: 'fail' });
+
+            err.responseCode = 550;
+            err.name = 'SMTPResponse'; // do not throw
+            return setImmediate(() => next(err));
+        }
+
+        loggelf({
+            short_message: '[SRS REVERSE:' + srsAddress + '] ' + session.id,
+            _mail_action: 'srs_reverse',
+            _to: srsAddress,
+            _srs_reversed: reversed,
+            _session_id: session.id,
+            _ip: session.remoteAddress
+        });
+
+        app.logger.info('SRS', '%s SRSREVERSE to=%s reversed=%s', session.envelopeId || session.id, srsAddress, reversed);
+        metrics.srs.inc({ action: 'reverse', result: 'success' });
+
+        address.address = reversed;
+        return setImmediate(next);
+    }
+
+    // adds an ARC set to forwarded messages, errors are logged and ignored
+    function sealForwarded(delivery, callback) {
+        let arc = app.config.arc || {};
+        if (!arc.enabled || delivery.interface !== 'forwarder' || !delivery.dkim) {
+            return callback();
+        }
+
+        let signingDomain = arc.signingDomain || (app.config.srs && app.config.srs.rewriteDomain);
+        if (!signingDomain) {
+            return callback();
+        }
+
+        getDkimKeys(signingDomain)
+            .then(keys => {
+                let keyData = keys && keys[0];
+                if (!keyData) {
+                    app.logger.info('ARC', '%s.%s ARCSKIP No signing key for "%s"', delivery.id, delivery.seq, signingDomain);
+                    return;
+                }
+
+                let result = arcSeal.seal(delivery.headers, delivery.dkim.hashAlgo, delivery.dkim.bodyHash, {
+                    signingDomain,
+                    selector: keyData.selector,
+                    privateKey: keyData.privateKey,
+                    authServId: arc.authServId || hostname
+                });
+
+                if (!result) {
+                    app.logger.info('ARC', '%s.%s ARCSKIP Message can not be sealed', delivery.id, delivery.seq);
+                    return;
+                }
+
+                app.logger.info(
+                    'ARC',
+                    '%s.%s ARCSEAL domain=%s selector=%s i=%s cv=%s',
+                    delivery.id,
+                    delivery.seq,
+                    signingDomain,
+                    keyData.selector,
+                    result.instance,
+                    result.cv
+                );
+            })
+            .catch(err => {
+                app.logger.error('ARC', '%s.%s ARCFAIL Failed sealing message. %s', delivery.id, delivery.seq, err.message);
+            })
+            .then(() => callback());
+    }
+
+    // resolves an address with wildcard support, uses the cache if enabled
+    function resolveAddress(address, callback) {
+        let key = 'address:' + tools.normalizeAddress(address);
+        let cached = cache && cache.get(key);
+        if (cached) {
+            return setImmediate(() => callback(null, cached.value));
+        }
+
+        let endTimer = metrics.lookupDuration.startTimer({ lookup: 'resolve_address' });
+        userHandler.resolveAddress(address, { wildcard: true }, (err, addressData) => {
+            endTimer();
+            if (err) {
+                return callback(err);
+            }
+            if (cache) {
+                // cache negative results as well, for a shorter time
+                cache.set(key, addressData || false, addressData ? false : Number(cacheConfig.negativeTTL) || 60);
+            }
+            return callback(null, addressData);
+        });
+    }
+
+    async function getDkimKeys(domain) {
+        let key = 'dkim:' + tools.normalizeDomain(domain);
+        let cached = cache && cache.get(key);
+        if (cached) {
+            return cached.value;
+        }
+
+        let endTimer = metrics.lookupDuration.startTimer({ lookup: 'dkim_keys' });
+        let keySet;
+        try {
+            keySet = await dkimKeys.getKeySet(domain);
+        } catch (err) {
+            metrics.dkimFailures.inc();
+            throw err;
+        } finally {
+            endTimer();
+        }
+
+        let keys = keySet.keys;
+        if (cache) {
+            let ttl = keys.length ? Number(cacheConfig.ttl) || 300 : Number(cacheConfig.negativeTTL) || 60;
+            if (keySet.validUntil) {
+                // do not keep keys past the next scheduled rotation change
+                ttl = Math.max(Math.min(ttl, Math.ceil((keySet.validUntil.getTime() - Date.now()) / 1000)), 1);
+            }
+            cache.set(key, keys, ttl);
+        }
+        return keys;
+    }
+
+    /**
+     * Removes cached entries. Message is an object with one of the following forms
+     *  {type: 'address', address: 'user@example.com'} – single address
+     *  {type: 'address', domain: 'example.com'} – all addresses of a domain
+     *  {type: 'dkim', domain: 'example.com'} – DKIM keys of a domain, '*' clears all DKIM keys
+     *  {type: 'all'} – everything
+     */
+    function invalidateCache(data) {
+        let removed = 0;
+        let domain = data.domain && tools.normalizeDomain(data.domain);
+
+        if (data.type === 'address' && data.address) {
+            removed = cache.delete('address:' + tools.normalizeAddress(data.address)) ? 1 : 0;
+        } else if (data.type === 'address' && domain) {
+            removed = cache.prune(key => key.indexOf('address:') === 0 && key.substr(key.lastIndexOf('@') + 1) === domain);
+        } else if (data.type === 'dkim' && domain && domain !== '*') {
+            removed = cache.delete('dkim:' + domain) ? 1 : 0;
+        } else if (data.type === 'dkim') {
+            // wildcard key can be used for any domain
+            removed = cache.prune(key => key.indexOf('dkim:') === 0);
+        } else {
+            cache.clear();
+        }
+
+        app.logger.verbose('Cache', 'INVALIDATE type=%s key=%s removed=%s', data.type || 'all', data.address || domain || '', removed);
+    }
+
+    // user specific value overrides the default from plugin config, 0 means no limit
+    function getUserLimit(userData, field) {
+        if (userData && typeof userData[field] === 'number') {
+            return userData[field];
+        }
+        return Number(app.config.limits && app.config.limits[field]) || 0;
+    }
+
+    // resolves sender policy for 'envelope' or 'header' address, user specific value overrides the default
+    function getFromPolicy(userData, type) {
+        let policies = ['rewrite', 'reject', 'allow-domain', 'allow-any'];
+        let userPolicy = userData && userData.fromPolicy && userData.fromPolicy[type];
+        if (policies.includes(userPolicy)) {
+            return userPolicy;
+        }
+        let defaultPolicy = app.config.fromPolicy && app.config.fromPolicy[type];
+        if (policies.includes(defaultPolicy)) {
+            return defaultPolicy;
+        }
+        return 'rewrite';
+    }
+
+    // per-user setting overrides the default from plugin config
+    function getFailureNotice(userData) {
+        if (userData && typeof userData.deliveryFailureNotice === 'boolean') {
+            return userData.deliveryFailureNotice;
+        }
+        return !!(app.config.deliveryStatus && app.config.deliveryStatus.failureNotice);
+    }
+
+    // stores a short notice about a permanently failed recipient to the INBOX of the sender
+    async function storeFailureNotice(entry, queue) {
+        let notice = (app.config.deliveryStatus && app.config.deliveryStatus.notice) || {};
+        let recipient = queue.recipient;
+
+        let node = new MimeNode('text/plain');
+        node.setHeader('From', notice.from || 'Mail Delivery Subsystem <mailer-daemon@' + hostname + '>');
+        node.setHeader('Subject', (notice.subject || 'Delivery failure') + ': ' + (queue.subject || '(no subject)'));
+        node.setHeader('Auto-Submitted', 'auto-replied');
+        if (queue.messageId && queue.messageId !== '<>') {
+            node.setHeader('In-Reply-To', queue.messageId);
+            node.setHeader('References', queue.messageId);
+        }
+        node.setContent(
+            [
+                'Your message could not be delivered to ' + recipient.recipient + '.',
+                '',
+                'Subject: ' + (queue.subject || '(no subject)'),
+                'Queue ID: ' + entry.id,
+                'Response: ' + (recipient.response || 'n/a')
+            ].join('\n')
+        );
+
+        let raw = await node.build();
+
+        let { data } = await addMessage({
+            user: new ObjectID(queue.user),
+            path: 'INBOX',
+
+            meta: {
+                source: 'NOTICE',
+                queueId: entry.id,
+                from: '',
+                to: [],
+                time: new Date()
+            },
+
+            date: false,
+            flags: [],
+            raw
+        });
+
+        app.logger.info('Rewrite', '%s.%s FAILNOTICE user=%s rcpt=%s uid=%s', entry.id, entry.seq, queue.user, recipient.recipient, data && data.uid);
+    }
+
+    // user specific policy values override the defaults from plugin config
+    function getMessagePolicy(userData) {
+        return Object.assign({}, app.config.messagePolicy || {}, (userData && userData.messagePolicy) || {});
+    }
+
     function getUser(envelope, callback) {
         let query = false;
 
@@ -872,6 +3090,7 @@ module.exports.init = function(app, done) {
             return callback(err);
         }
 
+        let endTimer = metrics.lookupDuration.startTimer({ lookup: 'get_user' });
         usersdb.collection('users').findOne(
             query,
             {
@@ -881,12 +3100,22 @@ module.exports.init = function(app, done) {
                     quota: true,
                     storageUsed: true,
                     recipients: true,
+                    recipientsPerMinute: true,
+                    recipientsPerHour: true,
+                    recipientsPerMessage: true,
+                    disabledScopes: true,
+                    fromPolicy: true,
+                    messagePolicy: true,
+                    deliveryFailureNotice: true,
                     encryptMessages: true,
                     pubKey: true,
-                    uploadSentMessages: true
+                    uploadSentMessages: true,
+                    sentMailbox: true,
+                    scanThresholds: true
                 }
             },
             (err, user) => {
+                endTimer();
                 if (err) {
                     return callback(err);
                 }
@@ -908,6 +3137,39 @@ module.exports.init = function(app, done) {
     done();
 };
 
+// group members are checked as individual addresses
+function flattenAddresses(addresses) {
+    let list = [];
+    (addresses || []).forEach(addressObj => {
+        if (addressObj.group) {
+            list = list.concat(addressObj.group);
+        } else {
+            list.push(addressObj);
+        }
+    });
+    return list;
+}
+
+// unlike headers.update() only replaces the topmost occurence of a header
+function replaceFirstHeader(headers, key, value) {
+    let lines = headers.getList();
+    let index = lines.findIndex(line => line.key === key.toLowerCase());
+    if (index < 0) {
+        return headers.add(key, value);
+    }
+    lines.splice(index, 1);
+    headers.add(key, value, index);
+}
+
+function formatTTL(ttl) {
+    if (ttl < 60) {
+        return ttl + ' seconds';
+    } else if (ttl < 3600) {
+        return Math.round(ttl / 60) + ' minutes';
+    }
+    return Math.round(ttl / 3600) + ' hours';
+}
+
 function generateReceivedHeader(envelope, hostname) {
     let key = 'Received';
     let origin = envelope.origin ? '[' + envelope.origin + ']' : '';
@@ -0,0 +1,236 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+const util = require('util');
+
+// sorted set of suspended users, score is the expiration time
+const SUSPENDED_KEY = 'wdab:suspended';
+
+/**
+ * Tracks outbound abuse signals per user and disables the SMTP scope
+ * for users that cross configured thresholds
+ */
+class AbusePolicy {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+        this.redis = options.redis;
+        this.users = options.users;
+        this.queueUsers = options.queueUsers;
+        this.userHandler = options.userHandler;
+        this.logger = options.logger;
+        this.loggelf = options.loggelf || (() => false);
+
+        this.ttlcounter = util.promisify(options.ttlcounter);
+
+        this.enabled = !!this.config.enabled;
+        this.windowSize = Number(this.config.windowSize) || 3600;
+        this.cooldown = Number(this.config.cooldown) || 0;
+    }
+
+    /**
+     * Returns the user for a queue id as delivery log entries do not include user info
+     */
+    async resolveQueue(queueId) {
+        if (!this.enabled) {
+            return false;
+        }
+        return await this.queueUsers.resolve(queueId);
+    }
+
+    /**
+     * Increments a counter for an event type and suspends the user if a threshold is crossed
+     *
+     * @param {ObjectID|String} user User ID
+     * @param {String} type One of 'limit', 'rewrite', 'accepted', 'deferred', 'rejected'
+     * @param {Object} [info] Additional info for the suspension record
+     */
+    async track(user, type, info) {
+        if (!this.enabled || !user) {
+            return false;
+        }
+
+        let userId = user.toString();
+        let result = await this.ttlcounter('wdab:' + type + ':' + userId, 1, Number.MAX_SAFE_INTEGER, this.windowSize);
+        let value = result.value;
+
+        let reason = false;
+        switch (type) {
+            case 'limit':
+                if (this.config.limitHits && value >= this.config.limitHits) {
+                    reason = 'Recipient limit reached ' + value + ' times';
+                }
+                break;
+
+            case 'rewrite':
+                if (this.config.rewrites && value >= this.config.rewrites) {
+                    reason = 'Sender address rewritten ' + value + ' times';
+                }
+                break;
+
+            case 'accepted':
+            case 'deferred':
+            case 'rejected':
+                reason = await this.checkRatios(userId);
+                break;
+        }
+
+        if (!reason) {
+            return false;
+        }
+
+        return await this.suspend(userId, reason, Object.assign({ type, value }, info || {}));
+    }
+
+    async checkRatios(userId) {
+        let counts = await this.redis.mget(['accepted', 'deferred', 'rejected'].map(type => 'wdab:' + type + ':' + userId));
+        let accepted = Number(counts[0]) || 0;
+        let deferred = Number(counts[1]) || 0;
+        let rejected = Number(counts[2]) || 0;
+        let total = accepted + deferred + rejected;
+
+        if (!total || total < (Number(this.config.minDeliveries) || 1)) {
+            return false;
+        }
+
+        if (this.config.rejectedRatio && rejected / total >= this.config.rejectedRatio) {
+            return 'Rejected ratio ' + Math.round((rejected / total) * 100) + '% (' + rejected + '/' + total + ')';
+        }
+
+        if (this.config.deferredRatio && deferred / total >= this.config.deferredRatio) {
+            return 'Deferred ratio ' + Math.round((deferred / total) * 100) + '% (' + deferred + '/' + total + ')';
+        }
+
+        return false;
+    }
+
+    /**
+     * Disables SMTP scope for an user. If cooldown is not set then the user stays suspended until an admin
+     * removes "smtp" from the disabledScopes list
+     */
+    async suspend(user, reason, info) {
+        let userId = new ObjectID(user.toString());
+        let now = new Date();
+        let expires = this.cooldown ? new Date(now.getTime() + this.cooldown * 1000) : false;
+
+        let r = await this.users.collection('users').updateOne(
+            {
+                _id: userId,
+                // do not override suspensions set by an admin
+                disabledScopes: { $ne: 'smtp' }
+            },
+            {
+                $addToSet: { disabledScopes: 'smtp' },
+                $set: {
+                    abuseSuspension: {
+                        reason,
+                        created: now,
+                        expires
+                    }
+                }
+            }
+        );
+
+        if (!r || !r.modifiedCount) {
+            // already suspended or user not found
+            return false;
+        }
+
+        // start counting from scratch once the suspension is lifted
+        await this.redis.del(['limit', 'rewrite', 'accepted', 'deferred', 'rejected'].map(type => 'wdab:' + type + ':' + userId));
+
+        if (expires) {
+            await this.redis.zadd(SUSPENDED_KEY, expires.getTime(), userId.toString());
+        }
+
+        this.logger.info('Abuse', 'SUSPENDED user=%s expires=%s reason=%s', userId, expires ? expires.toISOString() : 'never', reason);
+
+        this.loggelf({
+            short_message: '[ABUSE SUSPEND] ' + userId,
+            _mail_action: 'abuse_suspend',
+            _user: userId.toString(),
+            _abuse_type: info && info.type,
+            _queue_id: info && info.queueId,
+            _error: reason,
+            _expires: expires ? expires.toISOString() : 'never'
+        });
+
+        await this.userHandler.logAuthEvent(userId, {
+            action: 'smtp suspended',
+            protocol: 'SMTP',
+            result: 'success',
+            reason,
+            expires
+        });
+
+        return true;
+    }
+
+    async lift(user, reason) {
+        let userId = new ObjectID(user.toString());
+
+        let r = await this.users.collection('users').updateOne(
+            {
+                _id: userId,
+                abuseSuspension: { $exists: true },
+                disabledScopes: 'smtp'
+            },
+            {
+                $pull: { disabledScopes: 'smtp' },
+                $unset: { abuseSuspension: true }
+            }
+        );
+
+        await this.redis.zrem(SUSPENDED_KEY, userId.toString());
+
+        if (!r || !r.modifiedCount) {
+            // suspension might have been cleared by an admin already, only remove the stale suspension info
+            await this.users.collection('users').updateOne({ _id: userId, abuseSuspension: { $exists: true } }, { $unset: { abuseSuspension: true } });
+            return false;
+        }
+
+        this.logger.info('Abuse', 'UNSUSPENDED user=%s reason=%s', userId, reason);
+
+        this.loggelf({
+            short_message: '[ABUSE LIFT] ' + userId,
+            _mail_action: 'abuse_lift',
+            _user: userId.toString(),
+            _reason: reason
+        });
+
+        await this.userHandler.logAuthEvent(userId, {
+            action: 'smtp unsuspended',
+            protocol: 'SMTP',
+            result: 'success',
+            reason
+        });
+
+        return true;
+    }
+
+    /**
+     * Lifts suspensions with passed cooldown. Safe to run from several processes at once
+     * as only the process that manages to remove the entry from the set lifts the suspension
+     */
+    async liftExpired() {
+        if (!this.enabled) {
+            return 0;
+        }
+
+        let expired = await this.redis.zrangebyscore(SUSPENDED_KEY, 0, Date.now());
+        let lifted = 0;
+        for (let userId of expired || []) {
+            let removed = await this.redis.zrem(SUSPENDED_KEY, userId);
+            if (!removed) {
+                // handled by some other process
+                continue;
+            }
+            if (await this.lift(userId, 'Cooldown expired')) {
+                lifted++;
+            }
+        }
+        return lifted;
+    }
+}
+
+module.exports = AbusePolicy;
@@ -0,0 +1,242 @@
+'use strict';
+
+const crypto = require('crypto');
+const url = require('url');
+const libmime = require('libmime');
+
+// RFC8617 limits the chain length
+const MAX_INSTANCES = 50;
+
+// same header set that ZoneMTA uses for DKIM signatures
+const DEFAULT_FIELD_NAMES =
+    'From:Sender:Reply-To:Subject:Date:Message-ID:To:' +
+    'Cc:MIME-Version:Content-Type:Content-Transfer-Encoding:Content-ID:' +
+    'Content-Description:Resent-Date:Resent-From:Resent-Sender:' +
+    'Resent-To:Resent-Cc:Resent-Message-ID:In-Reply-To:References:' +
+    'List-Id:List-Help:List-Unsubscribe:List-Subscribe:List-Post:' +
+    'List-Owner:List-Archive:List-Unsubscribe-Post:Feedback-ID:DKIM-Signature';
+
+const ARC_KEYS = ['arc-authentication-results', 'arc-message-signature', 'arc-seal'];
+
+/**
+ * Adds a new ARC set (ARC-Seal, ARC-Message-Signature, ARC-Authentication-Results) to message headers.
+ * Existing ARC sets are kept and covered by the new seal.
+ *
+ * @param {Object} headers Headers object from mailsplit
+ * @param {String} hashAlgo Body hash algorithm, must be 'sha256'
+ * @param {String} bodyHash Base64 encoded hash of the relaxed body
+ * @param {Object} options Sealing options
+ * @param {String} options.signingDomain Domain to seal for
+ * @param {String} options.selector Key selector
+ * @param {String} options.privateKey Private key
+ * @param {String} options.authServId Authentication-Results authserv-id used by the MX
+ * @returns {Object|Boolean} Info about the added set as {instance, cv} or false if the message can not be sealed
+ */
+function seal(headers, hashAlgo, bodyHash, options) {
+    if (hashAlgo !== 'sha256' || !bodyHash) {
+        return false;
+    }
+
+    let chain = getChain(headers);
+    if (!chain) {
+        // broken or failed chain, do not extend it
+        return false;
+    }
+
+    let instance = chain.length + 1;
+    if (instance > MAX_INSTANCES) {
+        return false;
+    }
+
+    let authResults = getAuthResults(headers, options.authServId);
+    let cv = 'none';
+    if (instance > 1) {
+        // rely on the ARC validation result recorded at the MX
+        let match = (authResults || '').match(/\barc\s*=\s*(\w+)/i);
+        cv = match && match[1].toLowerCase() === 'pass' ? 'pass' : 'fail';
+    }
+
+    let domainName = url.domainToASCII(options.signingDomain) || options.signingDomain;
+    let timestamp = Math.floor(Date.now() / 1000);
+
+    let aarLine = libmime.foldLines('ARC-Authentication-Results: i=' + instance + '; ' + (authResults || (options.authServId || domainName) + '; none'), 76);
+
+    let signedHeaders = relaxedHeaders(headers, options.headerFieldNames || DEFAULT_FIELD_NAMES);
+    let amsLine = libmime.foldLines(
+        'ARC-Message-Signature: ' +
+            [
+                'i=' + instance,
+                'a=rsa-sha256',
+                'c=relaxed/relaxed',
+                'd=' + domainName,
+                's=' + options.selector,
+                't=' + timestamp,
+                'h=' + signedHeaders.fieldNames,
+                'bh=' + bodyHash
+            ].join('; '),
+        76
+    );
+    amsLine += ';\r\n b=';
+    let amsSignature = sign(signedHeaders.headers + 'arc-message-signature:' + relaxedHeaderLine(amsLine), options.privateKey);
+    if (!amsSignature) {
+        return false;
+    }
+    amsLine += foldSignature(amsSignature);
+
+    let asLine = libmime.foldLines(
+        'ARC-Seal: ' + ['i=' + instance, 'a=rsa-sha256', 't=' + timestamp, 'cv=' + cv, 'd=' + domainName, 's=' + options.selector].join('; '),
+        76
+    );
+    asLine += ';\r\n b=';
+
+    let sealData = chain
+        .concat({
+            'arc-authentication-results': aarLine,
+            'arc-message-signature': amsLine,
+            'arc-seal': asLine
+        })
+        .map(set => ARC_KEYS.map(key => key + ':' + relaxedHeaderLine(set[key])).join('\r\n'))
+        .join('\r\n');
+
+    let asSignature = sign(sealData, options.privateKey);
+    if (!asSignature) {
+        return false;
+    }
+    asLine += foldSignature(asSignature);
+
+    // new set goes on top of the header, seal being the first
+    headers.addFormatted('ARC-Authentication-Results', aarLine, 0);
+    headers.addFormatted('ARC-Message-Signature', amsLine, 0);
+    headers.addFormatted('ARC-Seal', asLine, 0);
+
+    return { instance, cv };
+}
+
+/**
+ * Collects existing ARC sets ordered by instance number. Returns false if the chain
+ * is incomplete or already failed
+ */
+function getChain(headers) {
+    let sets = new Map();
+
+    for (let line of headers.getList()) {
+        if (!ARC_KEYS.includes(line.key)) {
+            continue;
+        }
+        let match = line.line.match(/^[^:]+:\s*(?:[^;]*;\s*)*?i\s*=\s*(\d+)/i);
+        let instance = match && Number(match[1]);
+        if (!instance) {
+            return false;
+        }
+        if (!sets.has(instance)) {
+            sets.set(instance, {});
+        }
+        let set = sets.get(instance);
+        if (set[line.key]) {
+            // duplicate header for the same instance
+            return false;
+        }
+        set[line.key] = line.line;
+    }
+
+    let chain = [];
+    for (let i = 1; i <= sets.size; i++) {
+        let set = sets.get(i);
+        if (!set || ARC_KEYS.some(key => !set[key])) {
+            return false;
+        }
+        if (/\bcv\s*=\s*fail\b/i.test(set['arc-seal'])) {
+            return false;
+        }
+        chain.push(set);
+    }
+
+    return chain;
+}
+
+// returns the topmost Authentication-Results value that was added by our MX
+function getAuthResults(headers, authServId) {
+    if (!authServId) {
+        return false;
+    }
+
+    for (let line of headers.getList()) {
+        if (line.key !== 'authentication-results') {
+            continue;
+        }
+        let value = relaxedHeaderLine(line.line);
+        let serverId = value
+            .split(';')
+            .shift()
+            .trim()
+            .split(/\s+/)
+            .shift();
+        if (serverId.toLowerCase() === authServId.toLowerCase()) {
+            return value;
+        }
+    }
+
+    return false;
+}
+
+function relaxedHeaders(headers, fieldNames) {
+    let includedFields = new Set();
+    let headerFields = new Map();
+    let headerLines = headers.getList();
+
+    fieldNames
+        .toLowerCase()
+        .split(':')
+        .forEach(field => {
+            includedFields.add(field.trim());
+        });
+
+    for (let i = headerLines.length - 1; i >= 0; i--) {
+        let line = headerLines[i];
+        // only include the first value from bottom to top
+        if (includedFields.has(line.key) && !headerFields.has(line.key)) {
+            headerFields.set(line.key, relaxedHeaderLine(line.line));
+        }
+    }
+
+    let headersList = [];
+    let fields = [];
+    includedFields.forEach(field => {
+        if (headerFields.has(field)) {
+            fields.push(field);
+            headersList.push(field + ':' + headerFields.get(field));
+        }
+    });
+
+    return {
+        headers: headersList.join('\r\n') + '\r\n',
+        fieldNames: fields.join(':')
+    };
+}
+
+function relaxedHeaderLine(line) {
+    return line
+        .substr(line.indexOf(':') + 1)
+        .replace(/\r?\n/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function sign(data, privateKey) {
+    let signer = crypto.createSign('RSA-SHA256');
+    signer.update(Buffer.from(data, 'binary'));
+    try {
+        return signer.sign(privateKey, 'base64');
+    } catch (E) {
+        return false;
+    }
+}
+
+function foldSignature(signature) {
+    return signature.replace(/(^.{73}|.{75}(?!\r?\n|\r))/g, '$&\r\n ').trim();
+}
+
+module.exports = {
+    seal,
+    getChain
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+
+/**
+ * Loads SMTP sending restrictions for an application specific password. Restrictions are stored
+ * in the `restrictions` property of the ASP entry:
+ *
+ *   {from: ["alias@example.com", "*@example.com"], recipients: 100, recipientsPerMessage: 10, expires: Date}
+ *
+ * @param {Object} users Users database
+ * @param {ObjectID|String} user User ID
+ * @param {String} asp ASP ID
+ * @returns {Object} Restrictions as {asp, description, from, recipients, recipientsPerMessage, expires}
+ */
+async function load(users, user, asp) {
+    let aspData = await users.collection('asps').findOne(
+        {
+            _id: new ObjectID(asp),
+            user: new ObjectID(user)
+        },
+        {
+            projection: {
+                description: true,
+                restrictions: true
+            }
+        }
+    );
+
+    let restrictions = (aspData && aspData.restrictions) || {};
+
+    return {
+        asp: asp.toString(),
+        description: (aspData && aspData.description) || '',
+        from: [].concat(restrictions.from || []).map(address => address.toString().toLowerCase()),
+        recipients: Number(restrictions.recipients) || 0,
+        recipientsPerMessage: Number(restrictions.recipientsPerMessage) || 0,
+        // stored as a timestamp as restrictions are copied to the queued envelope
+        expires: restrictions.expires ? new Date(restrictions.expires).getTime() : 0
+    };
+}
+
+function isExpired(restrictions) {
+    return !!(restrictions && restrictions.expires && restrictions.expires < Date.now());
+}
+
+/**
+ * Checks if an address can be used as sender. Allowed senders are listed as exact
+ * addresses or as "*@domain" for all addresses of a domain
+ */
+function isAllowedSender(restrictions, address) {
+    if (!restrictions || !restrictions.from || !restrictions.from.length) {
+        return true;
+    }
+
+    address = (address || '').toLowerCase().trim();
+    let domain = address.substr(address.lastIndexOf('@') + 1);
+
+    return restrictions.from.includes(address) || restrictions.from.includes('*@' + domain);
+}
+
+module.exports = {
+    load,
+    isExpired,
+    isAllowedSender
+};
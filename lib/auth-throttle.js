@@ -0,0 +1,122 @@
+'use strict';
+
+const util = require('util');
+const networks = require('./networks');
+
+// failed attempts are counted separately for every limit
+const LIMITS = [
+    { name: 'ip', prefix: 'wdaf:ip:', max: 20, windowSize: 900, responseCode: 454 },
+    { name: 'user', prefix: 'wdaf:u:', max: 10, windowSize: 900, responseCode: 535 },
+    { name: 'ipUser', prefix: 'wdaf:iu:', max: 5, windowSize: 900, responseCode: 454 }
+];
+
+/**
+ * Limits failed SMTP AUTH attempts per IP, per username and per IP+username combination.
+ * Clients from allowed networks are never throttled
+ */
+class AuthThrottle {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+        this.redis = options.redis;
+
+        this.ttlcounter = util.promisify(options.ttlcounter);
+
+        this.enabled = !!this.config.enabled;
+        this.isAllowedNetwork = networks.createMatcher(this.config.allowedNetworks);
+
+        // config values override defaults, eg. [authThrottle.ipUser] max=3
+        this.limits = LIMITS.map(limit => Object.assign({}, limit, this.config[limit.name] || {})).filter(limit => Number(limit.max) > 0);
+    }
+
+    getKeys(ip, username) {
+        ip = (ip || '').toString().replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+        username = (username || '')
+            .toString()
+            .trim()
+            .toLowerCase();
+
+        return this.limits.map(limit => {
+            let value;
+            switch (limit.name) {
+                case 'ip':
+                    value = ip;
+                    break;
+                case 'user':
+                    value = username;
+                    break;
+                default:
+                    value = ip + ':' + username;
+            }
+            return { limit, key: limit.prefix + value };
+        });
+    }
+
+    /**
+     * Checks if authentication attempts are currently blocked
+     *
+     * @returns {Object|Boolean} Block info as {limit, value, ttl, responseCode} or false if not blocked
+     */
+    async check(ip, username) {
+        if (!this.enabled || this.isAllowedNetwork(ip)) {
+            return false;
+        }
+
+        for (let entry of this.getKeys(ip, username)) {
+            // zero increment only checks the counter
+            let result = await this.ttlcounter(entry.key, 0, Number(entry.limit.max), Number(entry.limit.windowSize));
+            if (!result.success) {
+                return {
+                    limit: entry.limit.name,
+                    value: result.value,
+                    ttl: result.ttl,
+                    responseCode: entry.limit.responseCode
+                };
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Counts a failed attempt
+     *
+     * @returns {Array} List of blocks that started with this attempt as {limit, value, ttl}
+     */
+    async registerFailure(ip, username) {
+        if (!this.enabled || this.isAllowedNetwork(ip)) {
+            return [];
+        }
+
+        let started = [];
+        for (let entry of this.getKeys(ip, username)) {
+            let result = await this.ttlcounter(entry.key, 1, Number(entry.limit.max), Number(entry.limit.windowSize));
+            if (result.success && result.value >= Number(entry.limit.max)) {
+                started.push({
+                    limit: entry.limit.name,
+                    value: result.value,
+                    ttl: result.ttl
+                });
+            }
+        }
+        return started;
+    }
+
+    /**
+     * Clears the IP+username counter after a successful login
+     */
+    async reset(ip, username) {
+        if (!this.enabled) {
+            return false;
+        }
+        let keys = this.getKeys(ip, username)
+            .filter(entry => entry.limit.name === 'ipUser')
+            .map(entry => entry.key);
+        if (keys.length) {
+            await this.redis.del(keys);
+        }
+        return true;
+    }
+}
+
+module.exports = AuthThrottle;
@@ -0,0 +1,260 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+const LRUCache = require('./lru-cache');
+
+// RELEASED and DISCARDED are review decisions for held messages, these are not emitted by ZoneMTA
+const ACTIONS = ['QUEUED', 'ACCEPTED', 'DEFERRED', 'REJECTED', 'DROP', 'DELETED', 'RELEASED', 'DISCARDED'];
+
+// actions that end delivery attempts for a recipient
+const FINAL_ACTIONS = ['accepted', 'rejected', 'drop', 'deleted'];
+
+/**
+ * Stores outbound delivery events of authenticated users to a MongoDB collection.
+ *
+ * Every log entry is stored as a separate document keyed by user, queue id and seq. Log
+ * entries besides QUEUED do not include user info, so the user is resolved from the
+ * shared queue to user mapping or from the QUEUED event of the same queue id. Stored events expire using a TTL index.
+ *
+ * The list methods can be used by external tools, eg. the WildDuck API or a CLI script:
+ *
+ *   let deliveryLog = new DeliveryLog({ database });
+ *   let messages = await deliveryLog.listMessages(userId, { limit: 20 });
+ */
+class DeliveryLog {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+        this.database = options.database;
+        this.queueUsers = options.queueUsers;
+
+        this.enabled = !!this.config.enabled;
+        this.collection = this.config.collection || 'outboundlog';
+        this.expireAfterSeconds = (Number(this.config.ttlDays) || 30) * 24 * 3600;
+
+        // queue id -> user id
+        this.queues = new LRUCache({ size: 10000, ttl: 3600 });
+    }
+
+    async ensureIndexes() {
+        await this.database.collection(this.collection).createIndexes([
+            { name: 'user_created', key: { user: 1, created: -1 } },
+            { name: 'queue_id', key: { id: 1, seq: 1 } },
+            { name: 'entry_ttl', key: { created: 1 }, expireAfterSeconds: this.expireAfterSeconds }
+        ]);
+    }
+
+    /**
+     * Stores a log entry, entries for queues that do not belong to a user are ignored
+     *
+     * @param {Object} entry Log entry
+     * @returns {Boolean} true if the entry was stored
+     */
+    async store(entry) {
+        if (!this.enabled || !ACTIONS.includes(entry.action) || !entry.id) {
+            return false;
+        }
+
+        let queueId = entry.id.toString();
+        let user = await this.resolveUser(queueId);
+        if (!user) {
+            return false;
+        }
+
+        let event = {
+            user: new ObjectID(user),
+            id: queueId,
+            seq: (entry.seq || '').toString(),
+            action: entry.action.toLowerCase(),
+            created: entry.created || new Date()
+        };
+
+        let values = {
+            from: entry.from,
+            to: entry.to || entry.recipient,
+            subject: entry.subject,
+            messageId: entry['message-id'],
+            size: entry.body,
+            interface: entry.interface,
+            ip: entry.src,
+            zone: entry.zone,
+            mx: entry.mx,
+            localIp: entry.ip,
+            response: entry.response || entry.reason,
+            category: entry.category,
+            retries: entry.defcount,
+            decidedBy: entry.decidedBy,
+            // scan results from the QUEUED entry
+            score: entry.score,
+            symbols: entry.symbols,
+            virus: entry.virus
+        };
+
+        Object.keys(values).forEach(key => {
+            if (values[key] !== undefined && values[key] !== null && values[key] !== '') {
+                event[key] = typeof values[key] === 'number' ? values[key] : values[key].toString();
+            }
+        });
+
+        await this.database.collection(this.collection).insertOne(event);
+        return true;
+    }
+
+    async resolveUser(queueId) {
+        let cached = this.queues.get(queueId);
+        if (cached) {
+            return cached.value;
+        }
+
+        let user = await this.queueUsers.resolve(queueId);
+        if (!user) {
+            // mapping has expired for messages that stay in the queue for long
+            let queued = await this.database.collection(this.collection).findOne({ id: queueId, action: 'queued' }, { projection: { user: true } });
+            user = (queued && queued.user.toString()) || false;
+        }
+
+        // queues without a user are not cached, the QUEUED event might not be stored yet
+        if (user) {
+            this.queues.set(queueId, user);
+        }
+        return user;
+    }
+
+    /**
+     * Lists recently queued messages of an user with current status for every recipient
+     *
+     * @param {ObjectID|String} user User ID
+     * @param {Object} [options] Options as {limit, before}, `before` is a Date to page backwards from
+     * @returns {Array} List of {id, created, from, to, subject, messageId, score, symbols, virus, status, recipients}
+     */
+    async listMessages(user, options) {
+        options = options || {};
+
+        let query = { user: new ObjectID(user), action: 'queued' };
+        if (options.before) {
+            query.created = { $lt: new Date(options.before) };
+        }
+
+        let queued = await this.database
+            .collection(this.collection)
+            .find(query)
+            .sort({ created: -1 })
+            .limit(Math.min(Number(options.limit) || 20, 250))
+            .toArray();
+
+        if (!queued.length) {
+            return [];
+        }
+
+        let events = await this.database
+            .collection(this.collection)
+            .find({ id: { $in: queued.map(event => event.id) }, action: { $ne: 'queued' } })
+            .sort({ created: 1 })
+            .toArray();
+
+        return queued.map(event =>
+            formatMessage(
+                event,
+                events.filter(entry => entry.id === event.id)
+            )
+        );
+    }
+
+    /**
+     * Returns status info for a single queued message of an user or false if not found
+     */
+    async getMessage(user, queueId) {
+        let events = await this.database
+            .collection(this.collection)
+            .find({ user: new ObjectID(user), id: queueId })
+            .sort({ created: 1 })
+            .toArray();
+
+        let queued = events.find(event => event.action === 'queued');
+        if (!queued) {
+            return false;
+        }
+
+        return formatMessage(
+            queued,
+            events.filter(event => event !== queued),
+            true
+        );
+    }
+}
+
+function formatMessage(queued, events, includeEvents) {
+    let recipients = new Map();
+    let closed = false;
+
+    events.forEach(event => {
+        if (!event.seq) {
+            // message level event, eg. deleted from the queue
+            if (event.action === 'deleted' || event.action === 'drop') {
+                closed = event.action;
+                recipients.forEach(recipient => {
+                    if (!FINAL_ACTIONS.includes(recipient.status)) {
+                        recipient.status = event.action;
+                        recipient.response = event.response;
+                        recipient.updated = event.created;
+                    }
+                });
+            }
+            return;
+        }
+
+        recipients.set(event.seq, {
+            seq: event.seq,
+            recipient: event.to,
+            status: event.action,
+            response: event.response,
+            retries: event.retries,
+            updated: event.created
+        });
+    });
+
+    let list = Array.from(recipients.values());
+
+    let status = closed || 'queued';
+    if (list.length) {
+        let pending = list.some(recipient => !FINAL_ACTIONS.includes(recipient.status));
+        let delivered = list.filter(recipient => recipient.status === 'accepted').length;
+        if (pending) {
+            status = 'pending';
+        } else if (delivered === list.length) {
+            status = 'delivered';
+        } else {
+            status = delivered ? 'partial' : 'failed';
+        }
+    }
+
+    let message = {
+        id: queued.id,
+        created: queued.created,
+        from: queued.from,
+        to: queued.to,
+        subject: queued.subject,
+        messageId: queued.messageId,
+        score: queued.score,
+        symbols: queued.symbols,
+        virus: queued.virus,
+        status,
+        recipients: list
+    };
+
+    if (includeEvents) {
+        message.events = events.map(event => ({
+            seq: event.seq,
+            action: event.action,
+            to: event.to,
+            mx: event.mx,
+            response: event.response,
+            decidedBy: event.decidedBy,
+            created: event.created
+        }));
+    }
+
+    return message;
+}
+
+module.exports = DeliveryLog;
@@ -0,0 +1,201 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+
+const STATUSES = {
+    ACCEPTED: 'accepted',
+    DEFERRED: 'deferred',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Keeps per-recipient delivery state for queued messages and stores it into the
+ * Sent Mail copy of the message as `meta.delivery`:
+ *
+ *   {status, version, updated, recipients: [{recipient, status, response, retries, mx, updated}]}
+ *
+ * Delivery log entries do not include user info and the Sent copy might be stored after the
+ * first log entries arrive, so the state is collected in Redis and written to the message
+ * whenever either side changes
+ */
+class DeliveryStatus {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+        this.redis = options.redis;
+        this.database = options.database;
+
+        this.enabled = !!this.config.enabled;
+        this.ttl = Number(this.config.ttl) || 7 * 24 * 3600;
+    }
+
+    /**
+     * Starts tracking a queued message
+     *
+     * @param {String} queueId Queue ID
+     * @param {ObjectID} user User ID
+     * @param {Object} info Message info as {recipients, subject, messageId, notice}
+     */
+    async registerQueue(queueId, user, info) {
+        if (!this.enabled || !queueId || !user) {
+            return false;
+        }
+
+        info = info || {};
+        let key = 'wdds:' + queueId;
+        let now = new Date().toISOString();
+
+        let fields = {
+            user: user.toString(),
+            subject: info.subject || '',
+            messageId: info.messageId || '',
+            notice: info.notice ? 'yes' : ''
+        };
+        [].concat(info.recipients || []).forEach(recipient => {
+            fields['rcpt:' + recipient] = JSON.stringify({ recipient, status: 'queued', updated: now });
+        });
+
+        await this.redis
+            .multi()
+            .hmset(key, fields)
+            .expire(key, this.ttl)
+            .exec();
+        return true;
+    }
+
+    /**
+     * Links the stored Sent Mail copy to a queued message and writes current state to it
+     */
+    async setMessage(queueId, message, mailbox) {
+        if (!this.enabled || !queueId || !message) {
+            return false;
+        }
+
+        let key = 'wdds:' + queueId;
+        if (!(await this.redis.exists(key))) {
+            return false;
+        }
+
+        await this.redis.hmset(key, {
+            message: message.toString(),
+            mailbox: mailbox.toString()
+        });
+
+        return await this.apply(queueId);
+    }
+
+    /**
+     * Updates recipient state from a delivery log entry
+     *
+     * @param {Object} entry Log entry
+     * @returns {Object|Boolean} Queue info as {user, subject, messageId, notice, recipient} or false if the queue is not tracked
+     */
+    async update(entry) {
+        let status = STATUSES[entry.action];
+        if (!this.enabled || !status || !entry.id) {
+            return false;
+        }
+
+        let key = 'wdds:' + entry.id;
+        let queue = await this.redis.hgetall(key);
+        if (!queue || !queue.user) {
+            return false;
+        }
+
+        let recipient = {
+            recipient: (entry.to || '').toString(),
+            status,
+            response: entry.response || '',
+            updated: new Date().toISOString()
+        };
+
+        if (entry.mx) {
+            recipient.mx = entry.mx;
+        }
+
+        if (status !== 'accepted') {
+            let previous = {};
+            try {
+                previous = JSON.parse(queue['rcpt:' + recipient.recipient] || '{}');
+            } catch (E) {
+                // ignore
+            }
+            // REJECTED entries do not include the retry count, keep the count from the last deferral
+            recipient.retries = entry.defcount !== undefined && entry.defcount !== null ? Number(entry.defcount) || 0 : Number(previous.retries) || 0;
+        }
+
+        await this.redis
+            .multi()
+            .hset(key, 'rcpt:' + recipient.recipient, JSON.stringify(recipient))
+            .hincrby(key, 'version', 1)
+            .expire(key, this.ttl)
+            .exec();
+
+        await this.apply(entry.id);
+
+        return {
+            user: queue.user,
+            subject: queue.subject,
+            messageId: queue.messageId,
+            notice: queue.notice === 'yes',
+            recipient
+        };
+    }
+
+    // writes collected state to the Sent Mail copy, older versions never overwrite newer ones
+    async apply(queueId) {
+        let queue = await this.redis.hgetall('wdds:' + queueId);
+        if (!queue || !queue.message || !queue.mailbox) {
+            return false;
+        }
+
+        let recipients = [];
+        Object.keys(queue).forEach(field => {
+            if (field.indexOf('rcpt:') !== 0) {
+                return;
+            }
+            try {
+                recipients.push(JSON.parse(queue[field]));
+            } catch (E) {
+                // ignore broken entries
+            }
+        });
+
+        let version = Number(queue.version) || 0;
+
+        let r = await this.database.collection('messages').updateOne(
+            {
+                _id: new ObjectID(queue.message),
+                mailbox: new ObjectID(queue.mailbox),
+                user: new ObjectID(queue.user),
+                $or: [{ 'meta.delivery.version': { $lt: version } }, { 'meta.delivery': { $exists: false } }]
+            },
+            {
+                $set: {
+                    'meta.delivery': {
+                        status: getSummary(recipients),
+                        version,
+                        updated: new Date(),
+                        recipients
+                    }
+                }
+            }
+        );
+
+        return !!(r && r.modifiedCount);
+    }
+}
+
+// overall status for badges: pending, delivered, partial or failed
+function getSummary(recipients) {
+    if (!recipients.length || recipients.some(recipient => !['accepted', 'rejected'].includes(recipient.status))) {
+        return 'pending';
+    }
+    let rejected = recipients.filter(recipient => recipient.status === 'rejected').length;
+    if (!rejected) {
+        return 'delivered';
+    }
+    return rejected === recipients.length ? 'failed' : 'partial';
+}
+
+module.exports = DeliveryStatus;
@@ -0,0 +1,143 @@
+'use strict';
+
+const crypto = require('crypto');
+const util = require('util');
+const tools = require('wildduck/lib/tools');
+
+/**
+ * Resolves the set of DKIM keys to sign with for a domain.
+ *
+ * The primary key comes from the WildDuck dkim collection. Additional keys can be listed in
+ * a rotation collection as {domain, selector, privateKey, status, start, retire}:
+ *  - "pending" keys are used as an additional signature (dual signing) next to the primary key
+ *  - "active" keys replace the WildDuck key as the primary signature
+ *  - keys are only used after `start` and until `retire`
+ *  - an entry without a private key retires the WildDuck key with the same selector after `retire`
+ */
+class DkimKeys {
+    constructor(options) {
+        options = options || {};
+        this.dkimHandler = options.dkimHandler;
+        this.database = options.database;
+        this.cipher = options.cipher;
+        this.secret = options.secret;
+
+        this.rotation = options.rotation || {};
+        this.collection = this.rotation.collection || 'dkimrotation';
+
+        this.getPrimaryKey = util.promisify(this.dkimHandler.get.bind(this.dkimHandler));
+    }
+
+    /**
+     * Returns keys for a domain, falls back to the wildcard domain if the domain has no keys
+     *
+     * @param {String} domain Domain name
+     * @returns {Array} List of {domain, selector, privateKey, status}
+     */
+    async getKeys(domain) {
+        return (await this.getKeySet(domain)).keys;
+    }
+
+    /**
+     * Returns keys for a domain with the time of the next scheduled rotation change
+     *
+     * @param {String} domain Domain name
+     * @returns {Object} Key set as {keys, validUntil}, `validUntil` is false if there are no scheduled changes
+     */
+    async getKeySet(domain) {
+        domain = tools.normalizeDomain(domain);
+
+        let keySet = await this.resolveKeys(domain);
+        if (!keySet.keys.length && domain !== '*') {
+            let fallback = await this.resolveKeys('*');
+            keySet = {
+                keys: fallback.keys,
+                validUntil: [keySet.validUntil, fallback.validUntil].filter(date => date).sort((a, b) => a - b)[0] || false
+            };
+        }
+        return keySet;
+    }
+
+    async resolveKeys(domain) {
+        let now = new Date();
+
+        let primary = false;
+        try {
+            primary = await this.getPrimaryKey({ domain }, true);
+        } catch (err) {
+            if (err.code !== 'DkimNotFound') {
+                throw err;
+            }
+        }
+
+        let entries = [];
+        if (this.rotation.enabled) {
+            entries = await this.database
+                .collection(this.collection)
+                .find({ domain })
+                .toArray();
+        }
+
+        let retired = new Set(entries.filter(entry => entry.retire && entry.retire <= now).map(entry => entry.selector));
+        let usable = entries.filter(entry => entry.privateKey && (!entry.start || entry.start <= now) && (!entry.retire || entry.retire > now));
+
+        let keys = usable.filter(entry => entry.status === 'active');
+        if (!keys.length && primary && !retired.has(primary.selector)) {
+            keys.push(primary);
+        }
+        keys = keys.concat(usable.filter(entry => entry.status !== 'active'));
+
+        let selectors = new Set();
+        let result = [];
+        for (let keyData of keys) {
+            if (selectors.has(keyData.selector)) {
+                continue;
+            }
+            selectors.add(keyData.selector);
+
+            result.push({
+                domain,
+                selector: keyData.selector,
+                // primary key is already decrypted by dkimHandler
+                privateKey: keyData === primary ? keyData.privateKey : this.decrypt(keyData.privateKey),
+                status: keyData === primary ? 'primary' : keyData.status || 'pending'
+            });
+        }
+
+        let changes = []
+            .concat(
+                entries.map(entry => entry.start),
+                entries.map(entry => entry.retire)
+            )
+            .filter(date => date && date > now)
+            .sort((a, b) => a - b);
+
+        return { keys: result, validUntil: changes[0] || false };
+    }
+
+    // uses the same encryption format as WildDuck for stored keys
+    decrypt(privateKey) {
+        if (privateKey.charAt(0) !== '$') {
+            return privateKey;
+        }
+
+        if (!this.secret) {
+            let err = new Error('Can not use decrypted key');
+            err.code = 'InternalConfigError';
+            throw err;
+        }
+
+        try {
+            let decipher = crypto.createDecipher(this.cipher || 'aes192', this.secret);
+            let decrypted = decipher.update(privateKey.substr(1), 'hex', 'utf-8');
+            decrypted += decipher.final('utf8');
+            return decrypted;
+        } catch (E) {
+            let err = new Error('Failed to decrypt private key. ' + E.message);
+            err.code = 'InternalConfigError';
+            throw err;
+        }
+    }
+}
+
+module.exports = DkimKeys;
@@ -0,0 +1,331 @@
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const dgram = require('dgram');
+const http = require('http');
+const https = require('https');
+const urllib = require('url');
+const Gelf = require('gelf');
+
+// keep at most this many messages in memory while a stream sink is reconnecting
+const MAX_PENDING = 1000;
+
+const SYSLOG_FACILITIES = {
+    kern: 0,
+    user: 1,
+    mail: 2,
+    daemon: 3,
+    auth: 4,
+    syslog: 5,
+    local0: 16,
+    local1: 17,
+    local2: 18,
+    local3: 19,
+    local4: 20,
+    local5: 21,
+    local6: 22,
+    local7: 23
+};
+
+// converts a GELF message into a plain object, additional fields lose the underscore prefix
+function toJSON(message) {
+    let data = {
+        time: new Date((message.timestamp || Date.now() / 1000) * 1000).toISOString(),
+        host: message.host,
+        message: message.short_message
+    };
+    Object.keys(message).forEach(key => {
+        if (key.charAt(0) === '_' && key !== '_id') {
+            data[key.substr(1)] = message[key];
+        }
+    });
+    return data;
+}
+
+class GelfSink {
+    constructor(config) {
+        this.gelf = new Gelf(config.options || {});
+        this.gelf.on('error', err => this.onError(err));
+    }
+
+    write(message) {
+        this.gelf.emit('gelf.log', message);
+    }
+}
+
+/**
+ * Appends events as newline-delimited JSON
+ */
+class FileSink {
+    constructor(config) {
+        this.path = config.path;
+        this.stream = fs.createWriteStream(this.path, { flags: 'a' });
+        this.stream.on('error', err => this.onError(err));
+    }
+
+    write(message) {
+        this.stream.write(JSON.stringify(toJSON(message)) + '\n');
+    }
+}
+
+/**
+ * Sends RFC5424 syslog messages over UDP, TCP (octet counting framing) or a unix stream socket.
+ * Message body is the event as JSON
+ */
+class SyslogSink {
+    constructor(config) {
+        this.protocol = config.protocol || 'udp';
+        this.host = config.host || '127.0.0.1';
+        this.port = Number(config.port) || 514;
+        this.path = config.path || '/dev/log';
+        this.appName = config.appName || 'zone-mta';
+        this.facility = SYSLOG_FACILITIES[config.facility] !== undefined ? SYSLOG_FACILITIES[config.facility] : SYSLOG_FACILITIES.mail;
+
+        this.socket = false;
+        this.connecting = false;
+        this.pending = [];
+    }
+
+    write(message) {
+        let severity = message._error || message._exception ? 3 : 6;
+        let line = [
+            '<' + (this.facility * 8 + severity) + '>1',
+            new Date((message.timestamp || Date.now() / 1000) * 1000).toISOString(),
+            message.host || '-',
+            this.appName,
+            process.pid,
+            (message._mail_action || '-').replace(/\s+/g, '_'),
+            '-',
+            JSON.stringify(toJSON(message))
+        ].join(' ');
+
+        if (this.protocol === 'udp') {
+            return this.sendDatagram(Buffer.from(line));
+        }
+
+        if (this.protocol === 'tcp') {
+            // RFC6587 octet counting
+            line = Buffer.byteLength(line) + ' ' + line;
+        } else {
+            line += '\n';
+        }
+
+        this.sendStream(line);
+    }
+
+    sendDatagram(buf) {
+        if (!this.socket) {
+            this.socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+            this.socket.on('error', err => this.onError(err));
+            this.socket.unref();
+        }
+        this.socket.send(buf, 0, buf.length, this.port, this.host, err => {
+            if (err) {
+                this.onError(err);
+            }
+        });
+    }
+
+    sendStream(line) {
+        if (this.socket && !this.connecting) {
+            return this.socket.write(line);
+        }
+
+        if (this.pending.length < MAX_PENDING) {
+            this.pending.push(line);
+        }
+
+        if (this.connecting) {
+            return;
+        }
+
+        this.connecting = true;
+        let socket = net.connect(this.protocol === 'tcp' ? { host: this.host, port: this.port } : { path: this.path }, () => {
+            this.connecting = false;
+            let pending = this.pending;
+            this.pending = [];
+            pending.forEach(line => socket.write(line));
+        });
+        socket.unref();
+        socket.on('error', err => this.onError(err));
+        socket.on('close', () => {
+            // reconnect on next message
+            if (this.socket === socket) {
+                this.socket = false;
+                this.connecting = false;
+            }
+        });
+        this.socket = socket;
+    }
+}
+
+/**
+ * POSTs events as a JSON array to an URL. Events are sent in batches of up to `batchSize` events,
+ * at least every `flushInterval` ms, with at most `maxRequests` requests in flight. Events that
+ * arrive while all requests are busy are buffered, once the buffer is full new events are dropped
+ */
+class WebhookSink {
+    constructor(config) {
+        this.url = urllib.parse(config.url);
+        this.headers = config.headers || {};
+        this.timeout = Number(config.timeout) || 10 * 1000;
+        this.batchSize = Number(config.batchSize) || 100;
+        this.flushInterval = Number(config.flushInterval) || 1000;
+        this.maxRequests = Number(config.maxRequests) || 2;
+
+        this.transport = this.url.protocol === 'https:' ? https : http;
+        this.agent = new this.transport.Agent({ keepAlive: true, maxSockets: this.maxRequests });
+
+        this.pending = [];
+        this.inFlight = 0;
+        this.dropped = 0;
+        this.timer = false;
+    }
+
+    write(message) {
+        if (this.pending.length >= MAX_PENDING) {
+            this.dropped++;
+            return;
+        }
+
+        this.pending.push(toJSON(message));
+
+        if (this.pending.length >= this.batchSize) {
+            return this.flush();
+        }
+
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = false;
+                this.flush();
+            }, this.flushInterval);
+            this.timer.unref();
+        }
+    }
+
+    flush() {
+        while (this.pending.length && this.inFlight < this.maxRequests) {
+            this.send(this.pending.splice(0, this.batchSize));
+        }
+
+        if (this.dropped) {
+            this.onError(new Error('Webhook is too slow, dropped ' + this.dropped + ' events'));
+            this.dropped = 0;
+        }
+    }
+
+    send(events) {
+        let body = Buffer.from(JSON.stringify(events));
+        let finished = false;
+
+        this.inFlight++;
+        let done = err => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            this.inFlight--;
+            if (err) {
+                this.onError(err);
+            }
+            if (this.pending.length >= this.batchSize || (this.pending.length && !this.timer)) {
+                // events were buffered while all requests were busy
+                this.flush();
+            }
+        };
+
+        let req = this.transport.request(
+            Object.assign({}, this.url, {
+                method: 'POST',
+                agent: this.agent,
+                headers: Object.assign({}, this.headers, {
+                    'Content-Type': 'application/json',
+                    'Content-Length': body.length
+                }),
+                timeout: this.timeout
+            }),
+            res => {
+                res.resume();
+                res.on('end', () => done(res.statusCode >= 300 ? new Error('Unexpected response code ' + res.statusCode) : null));
+                res.on('error', done);
+            }
+        );
+        req.on('timeout', () => req.abort());
+        req.on('error', done);
+        req.end(body);
+    }
+}
+
+/**
+ * Routes structured log events to a set of sinks. Events use the same format as GELF messages,
+ * {short_message, host, timestamp, _mail_action, _field: value, ...}
+ *
+ * Every sink can have its own filter:
+ *  - `actions` list of _mail_action values to include, all events are included if not set
+ *  - `exclude` list of _mail_action values to skip
+ */
+class LogSinks {
+    constructor(options) {
+        options = options || {};
+        this.logger = options.logger;
+
+        this.sinks = [];
+        for (let config of [].concat(options.sinks || [])) {
+            if (!config || config.enabled === false) {
+                continue;
+            }
+            let sink = createSink(config);
+            if (!sink) {
+                this.logger.error('LogSinks', 'Unknown log sink type "%s"', config.type);
+                continue;
+            }
+            sink.filter = createFilter(config);
+            sink.onError = err => this.logger.error('LogSinks', 'Failed to log to %s sink. %s', config.type, err.message);
+            this.sinks.push(sink);
+        }
+
+        this.enabled = this.sinks.length > 0;
+    }
+
+    log(message) {
+        for (let sink of this.sinks) {
+            if (!sink.filter(message)) {
+                continue;
+            }
+            try {
+                sink.write(message);
+            } catch (err) {
+                sink.onError(err);
+            }
+        }
+    }
+}
+
+function createSink(config) {
+    switch (config.type) {
+        case 'gelf':
+            return new GelfSink(config);
+        case 'file':
+            return new FileSink(config);
+        case 'syslog':
+            return new SyslogSink(config);
+        case 'webhook':
+            return new WebhookSink(config);
+    }
+    return false;
+}
+
+function createFilter(config) {
+    let actions = config.actions ? [].concat(config.actions) : false;
+    let exclude = [].concat(config.exclude || []);
+    return message => {
+        let action = message._mail_action || '';
+        if (actions && !actions.includes(action)) {
+            return false;
+        }
+        return !exclude.includes(action);
+    };
+}
+
+module.exports = LogSinks;
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Bounded in-memory cache with per-entry TTL. Least recently used entries are
+ * evicted once the cache is full
+ */
+class LRUCache {
+    constructor(options) {
+        options = options || {};
+        this.size = Number(options.size) || 1000;
+        this.ttl = (Number(options.ttl) || 300) * 1000;
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns cached entry as {value} or false if the key is not cached. Cached value itself
+     * can be empty for negative results
+     */
+    get(key) {
+        let entry = this.entries.get(key);
+        if (!entry) {
+            return false;
+        }
+
+        if (entry.expires < Date.now()) {
+            this.entries.delete(key);
+            return false;
+        }
+
+        // move to the end of the list as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return { value: entry.value };
+    }
+
+    /**
+     * @param {String} key Cache key
+     * @param {*} value Value to cache
+     * @param {Number} [ttl] TTL in seconds, uses the default if not set
+     */
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            expires: Date.now() + (ttl ? ttl * 1000 : this.ttl)
+        });
+
+        while (this.entries.size > this.size) {
+            // Map keeps insertion order, so the first key is the least recently used one
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Removes all entries where key matches the filter function
+     */
+    prune(filter) {
+        let removed = 0;
+        for (let key of Array.from(this.entries.keys())) {
+            if (filter(key)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = LRUCache;
@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Keeps queued deliveries back until these are released.
+ *
+ * ZoneMTA can only defer a message as a whole, so a message with held recipients is queued
+ * with `deferDelivery` set to the hold expiration time. Once the message is queued, deliveries
+ * for other recipients are moved back to the front of the queue. Held deliveries are moved
+ * back to the front of the queue when released or discarded, deliveries that are fetched for
+ * sending while discarded or after the hold has expired are rejected.
+ *
+ * Expired holds are discarded by `expire()`, unless every hold reason of the message was set
+ * to be released on timeout. A message can be held for several reasons, eg. an audit and a
+ * recipient policy rule, and the earliest expiration time of these is used. The hold time of
+ * scheduled messages counts from the scheduled delivery time, so a hold can not time out before
+ * the message was due to be sent.
+ *
+ * Hold records are stored as {queueId, user, reasons, recipients, rules, timeoutActions, status,
+ * created, expires}, `status` is one of "held", "released" or "discarded".
+ */
+class MessageHold {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+        this.database = options.database;
+        this.queueDb = options.queueDb;
+        this.redis = options.redis;
+
+        this.collection = this.config.collection || 'heldmessages';
+        this.queueCollection = this.config.queueCollection || 'zone-queue';
+        this.holdTime = (Number(this.config.holdDays) || 7) * 24 * 3600 * 1000;
+        this.expireAfterSeconds = (Number(this.config.ttlDays) || 30) * 24 * 3600;
+    }
+
+    async ensureIndexes() {
+        await this.database.collection(this.collection).createIndexes([
+            { name: 'queue_id', key: { queueId: 1 }, unique: true },
+            { name: 'status_created', key: { status: 1, created: -1 } },
+            { name: 'user_created', key: { user: 1, created: -1 } },
+            { name: 'hold_ttl', key: { created: 1 }, expireAfterSeconds: this.expireAfterSeconds }
+        ]);
+    }
+
+    /**
+     * Marks recipients of a message as held. Called from message:queue, before the message is stored
+     *
+     * @param {String} queueId Queue ID
+     * @param {Object} data Hold info as {user, reason, recipients, rules, deliverAt, holdTime, timeoutAction}, `deliverAt` is the scheduled
+     *                      delivery time if set, `holdTime` overrides the default hold time in ms, `timeoutAction` is "release" or "discard"
+     * @returns {Number} Timestamp for the `deferDelivery` envelope value
+     */
+    async hold(queueId, data) {
+        let now = new Date();
+        let holdStart = Math.max(now.getTime(), Number(data.deliverAt) || 0);
+        let result = await this.database.collection(this.collection).findOneAndUpdate(
+            { queueId },
+            {
+                $setOnInsert: {
+                    user: data.user,
+                    status: 'held',
+                    created: now,
+                    deliverAt: data.deliverAt ? new Date(data.deliverAt) : false
+                },
+                $set: {
+                    ['timeoutActions.' + data.reason]: data.timeoutAction === 'release' ? 'release' : 'discard'
+                },
+                $min: {
+                    expires: new Date(holdStart + (Number(data.holdTime) || this.holdTime))
+                },
+                $addToSet: {
+                    reasons: data.reason,
+                    recipients: { $each: [].concat(data.recipients || []).map(normalizeRecipient) }
+                },
+                $push: {
+                    rules: { $each: [].concat(data.rules || []) }
+                }
+            },
+            { upsert: true, returnOriginal: false }
+        );
+
+        let expires = result.value.expires;
+
+        // cheap check for the sender:fetch hook
+        await this.redis.set('wdhold:' + queueId, '1', 'PX', expires.getTime() - Date.now() + 24 * 3600 * 1000);
+
+        return Math.max(expires.getTime(), data.deliverAt || 0);
+    }
+
+    /**
+     * Moves deliveries for recipients that are not held to the front of the queue. Called once the message is queued
+     */
+    async releaseUnheld(queueId) {
+        if (!(await this.isMarked(queueId))) {
+            return 0;
+        }
+
+        let holdData = await this.get(queueId);
+        if (!holdData) {
+            return 0;
+        }
+        return await this.requeue(holdData, { $nin: holdData.recipients });
+    }
+
+    /**
+     * Returns hold info for a fetched delivery or false if the recipient is not held
+     */
+    async check(delivery) {
+        if (!delivery.id || !(await this.isMarked(delivery.id))) {
+            return false;
+        }
+
+        let holdData = await this.get(delivery.id);
+        if (!holdData || !holdData.recipients.map(normalizeRecipient).includes(normalizeRecipient(delivery.recipient))) {
+            return false;
+        }
+
+        let status = holdData.status;
+        if (status === 'held' && holdData.expires < new Date()) {
+            // the decision is recorded once expire() picks up the message
+            status = this.getTimeoutStatus(holdData) === 'released' ? 'released' : 'expired';
+        }
+
+        return {
+            status,
+            reasons: holdData.reasons,
+            expires: holdData.expires
+        };
+    }
+
+    async isMarked(queueId) {
+        return !!(await this.redis.exists('wdhold:' + queueId));
+    }
+
+    async get(queueId) {
+        return await this.database.collection(this.collection).findOne({ queueId });
+    }
+
+    /**
+     * Lists held messages, eg. for a review tool
+     *
+     * @param {Object} [options] Options as {user, status, limit}
+     */
+    async list(options) {
+        options = options || {};
+
+        let query = { status: options.status || 'held' };
+        if (options.user) {
+            query.user = options.user;
+        }
+
+        return await this.database
+            .collection(this.collection)
+            .find(query)
+            .sort({ created: -1 })
+            .limit(Math.min(Number(options.limit) || 20, 250))
+            .toArray();
+    }
+
+    /**
+     * Releases held recipients of a message for delivery
+     *
+     * @param {String} queueId Queue ID
+     * @param {Object} [options] Options as {decidedBy, comment}
+     * @returns {Object|Boolean} Updated hold record or false if the message was not held
+     */
+    async release(queueId, options) {
+        return await this.decide(queueId, 'released', options);
+    }
+
+    /**
+     * Discards held recipients of a message, these are rejected by the sender instead of delivered
+     */
+    async discard(queueId, options) {
+        return await this.decide(queueId, 'discarded', options);
+    }
+
+    /**
+     * Resolves held messages with expired holds, should be called periodically
+     *
+     * @param {Number} [limit] How many messages to resolve at once
+     * @returns {Array} Updated hold records
+     */
+    async expire(limit) {
+        let expired = await this.database
+            .collection(this.collection)
+            .find({ status: 'held', expires: { $lt: new Date() } })
+            .limit(Number(limit) || 100)
+            .toArray();
+
+        let decided = [];
+        for (let holdData of expired) {
+            // another process might have already resolved the message
+            let updated = await this.decide(holdData.queueId, this.getTimeoutStatus(holdData), { decidedBy: 'timeout', expired: true });
+            if (updated) {
+                decided.push(updated);
+            }
+        }
+        return decided;
+    }
+
+    getTimeoutStatus(holdData) {
+        let timeoutActions = holdData.timeoutActions || {};
+        return (holdData.reasons || []).every(reason => timeoutActions[reason] === 'release') ? 'released' : 'discarded';
+    }
+
+    async decide(queueId, status, options) {
+        options = options || {};
+
+        let query = { queueId, status: 'held' };
+        if (!options.expired) {
+            // expired holds are resolved by timeout only
+            query.expires = { $gte: new Date() };
+        }
+
+        let result = await this.database.collection(this.collection).findOneAndUpdate(
+            query,
+            {
+                $set: {
+                    status,
+                    decided: new Date(),
+                    decidedBy: options.decidedBy || '',
+                    comment: options.comment || ''
+                }
+            },
+            { returnOriginal: false }
+        );
+
+        let holdData = result && result.value;
+        if (!holdData) {
+            return false;
+        }
+
+        await this.requeue(holdData, { $in: holdData.recipients });
+        return holdData;
+    }
+
+    // ZoneMTA fetches unlocked deliveries with `queued` in the past, scheduled messages are not moved before the scheduled time
+    async requeue(holdData, recipients) {
+        let queued = new Date(Math.max(Date.now(), holdData.deliverAt ? holdData.deliverAt.getTime() : 0));
+        let r = await this.queueDb.collection(this.queueCollection).updateMany({ id: holdData.queueId, recipient: recipients }, { $set: { queued } });
+        return r.modifiedCount;
+    }
+}
+
+/**
+ * ZoneMTA lowercases the domain part of queued recipients, held recipients are stored and compared the same way
+ */
+function normalizeRecipient(address) {
+    address = (address || '').toString().trim();
+    let pos = address.lastIndexOf('@');
+    return pos >= 0 ? address.substr(0, pos) + '@' + address.substr(pos + 1).toLowerCase() : address;
+}
+
+MessageHold.normalizeRecipient = normalizeRecipient;
+
+module.exports = MessageHold;
@@ -0,0 +1,131 @@
+'use strict';
+
+const libmime = require('libmime');
+
+/**
+ * Lists attachment nodes from a parsed mime tree (as returned by messageHandler.prepareMessage)
+ *
+ * @param {Object} mimeTree Parsed mime tree
+ * @returns {Array} List of attachments as {filename, contentType, size}, size is the encoded size
+ */
+function getAttachments(mimeTree) {
+    let attachments = [];
+
+    let walk = node => {
+        if (!node) {
+            return;
+        }
+
+        let parsedContentType = node.parsedHeader && node.parsedHeader['content-type'];
+        let parsedDisposition = node.parsedHeader && node.parsedHeader['content-disposition'];
+
+        let contentType = ((parsedContentType && parsedContentType.value) || 'text/plain').toLowerCase().trim();
+        let disposition = ((parsedDisposition && parsedDisposition.value) || '').toLowerCase().trim();
+
+        let filename =
+            (parsedDisposition && parsedDisposition.params && parsedDisposition.params.filename) ||
+            (parsedContentType && parsedContentType.params && parsedContentType.params.name) ||
+            false;
+
+        if (filename) {
+            try {
+                filename = libmime.decodeWords(filename).trim();
+            } catch (E) {
+                // failed to parse filename, keep as is
+            }
+        }
+
+        let isMultipart = contentType.split('/')[0] === 'multipart';
+        let isInlineText = ['text/plain', 'text/html'].includes(contentType) && disposition !== 'attachment' && !filename;
+
+        if (!isMultipart && !isInlineText && node.body && node.body.length) {
+            attachments.push({
+                filename: filename || '',
+                contentType,
+                size: node.body.length
+            });
+        }
+
+        (node.childNodes || []).forEach(walk);
+
+        if (node.message) {
+            // attached message/rfc822
+            walk(node.message);
+        }
+    };
+
+    walk(mimeTree);
+
+    return attachments;
+}
+
+/**
+ * Checks message size and attachments against a policy
+ *
+ * @param {Object} policy Policy object with maxSize, maxAttachmentSize, blockedExtensions and blockedTypes
+ * @param {Object} message Message info as {size, attachments}, attachments are only required for attachment checks
+ * @returns {Object|Boolean} Violation as {responseCode, reason, message, attachments} or false
+ */
+function checkMessage(policy, message) {
+    policy = policy || {};
+
+    if (policy.maxSize && message.size > policy.maxSize) {
+        return {
+            responseCode: 552,
+            reason: 'size',
+            message: 'Message size ' + message.size + ' bytes exceeds the allowed maximum of ' + policy.maxSize + ' bytes for your account',
+            attachments: []
+        };
+    }
+
+    let attachments = message.attachments || [];
+
+    // extensions can be listed with or without the leading dot
+    let blockedExtensions = [].concat(policy.blockedExtensions || []).map(ext => String(ext).toLowerCase());
+    let blockedTypes = [].concat(policy.blockedTypes || []).map(type => String(type).toLowerCase());
+
+    let blocked = attachments.filter(attachment => {
+        let extension = (attachment.filename.toLowerCase().match(/\.([^.]+)$/) || [])[1];
+        return (
+            (extension && (blockedExtensions.includes(extension) || blockedExtensions.includes('.' + extension))) ||
+            blockedTypes.includes(attachment.contentType)
+        );
+    });
+
+    if (blocked.length) {
+        return {
+            responseCode: 554,
+            reason: 'blocked',
+            message:
+                'Message contains attachments that are not allowed: ' + blocked.map(attachment => attachment.filename || attachment.contentType).join(', '),
+            attachments: blocked
+        };
+    }
+
+    let attachmentSize = attachments.reduce((size, attachment) => size + attachment.size, 0);
+    if (policy.maxAttachmentSize && attachmentSize > policy.maxAttachmentSize) {
+        return {
+            responseCode: 552,
+            reason: 'attachment_size',
+            message:
+                'Total attachment size ' + attachmentSize + ' bytes exceeds the allowed maximum of ' + policy.maxAttachmentSize + ' bytes for your account',
+            attachments
+        };
+    }
+
+    return false;
+}
+
+/**
+ * Returns true if attachments need to be parsed to check the policy
+ */
+function needsAttachments(policy) {
+    policy = policy || {};
+    return !!(policy.maxAttachmentSize || [].concat(policy.blockedExtensions || []).length || [].concat(policy.blockedTypes || []).length);
+}
+
+module.exports = {
+    getAttachments,
+    checkMessage,
+    needsAttachments
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+const http = require('http');
+const os = require('os');
+const promClient = require('prom-client');
+
+// metrics of every process on the same host are shared over Redis, so one endpoint can serve the totals
+const SHARED_KEY = 'wdmetrics:' + os.hostname();
+const PROCESS_ID = process.pid.toString();
+
+let shared = false;
+
+// separate registry, so plugin metrics do not collide with the metrics of ZoneMTA itself
+const registry = new promClient.Registry();
+
+const auth = new promClient.Counter({
+    name: 'zonemta_wildduck_auth_total',
+    help: 'SMTP authentication attempts',
+    labelNames: ['result'],
+    registers: [registry]
+});
+
+const rewrites = new promClient.Counter({
+    name: 'zonemta_wildduck_sender_rewrites_total',
+    help: 'Sender addresses that were rewritten, removed or rejected',
+    labelNames: ['field', 'action'],
+    registers: [registry]
+});
+
+const rcptLimits = new promClient.Counter({
+    name: 'zonemta_wildduck_rcpt_limit_denials_total',
+    help: 'Recipients rejected due to rate limits',
+    labelNames: ['limit'],
+    registers: [registry]
+});
+
+const sentUploads = new promClient.Counter({
+    name: 'zonemta_wildduck_sent_uploads_total',
+    help: 'Messages uploaded to the Sent Mail folder',
+    labelNames: ['result'],
+    registers: [registry]
+});
+
+const auditUploads = new promClient.Counter({
+    name: 'zonemta_wildduck_audit_uploads_total',
+    help: 'Messages stored for audits',
+    labelNames: ['result'],
+    registers: [registry]
+});
+
+const dkimFailures = new promClient.Counter({
+    name: 'zonemta_wildduck_dkim_lookup_failures_total',
+    help: 'Failed DKIM key lookups',
+    registers: [registry]
+});
+
+const srs = new promClient.Counter({
+    name: 'zonemta_wildduck_srs_total',
+    help: 'SRS rewrites and reversals',
+    labelNames: ['action', 'result'],
+    registers: [registry]
+});
+
+const recipientPolicy = new promClient.Counter({
+    name: 'zonemta_wildduck_recipient_policy_matches_total',
+    help: 'Recipients matched by recipient policy rules',
+    labelNames: ['action'],
+    registers: [registry]
+});
+
+const scans = new promClient.Counter({
+    name: 'zonemta_wildduck_scans_total',
+    help: 'Outbound message scans by resulting action',
+    labelNames: ['action'],
+    registers: [registry]
+});
+
+const holdDecisions = new promClient.Counter({
+    name: 'zonemta_wildduck_hold_decisions_total',
+    help: 'Released and discarded held messages',
+    labelNames: ['status'],
+    registers: [registry]
+});
+
+const uploadRetries = new promClient.Counter({
+    name: 'zonemta_wildduck_upload_retries_total',
+    help: 'Retried Sent Mail and audit uploads',
+    labelNames: ['type', 'result'],
+    registers: [registry]
+});
+
+const uploadRetryPending = new promClient.Gauge({
+    name: 'zonemta_wildduck_upload_retry_pending',
+    help: 'Failed uploads waiting for a retry',
+    // same value is reported by every process
+    aggregator: 'max',
+    registers: [registry]
+});
+
+const uploadRetryDead = new promClient.Gauge({
+    name: 'zonemta_wildduck_upload_retry_dead',
+    help: 'Failed uploads that are not retried anymore',
+    aggregator: 'max',
+    registers: [registry]
+});
+
+const lookupDuration = new promClient.Histogram({
+    name: 'zonemta_wildduck_lookup_duration_seconds',
+    help: 'Database lookup latency',
+    labelNames: ['lookup'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers: [registry]
+});
+
+/**
+ * Stores metrics of the current process to Redis every `shareInterval` seconds. Stored values expire
+ * if the process stops, so counters of a restarted process start from zero like with a single process
+ *
+ * @param {Object} redis Redis client
+ * @param {Object} options Options as {shareInterval}
+ * @param {Function} callback Called with an error if storing fails
+ */
+function share(redis, options, callback) {
+    let interval = (Number(options.shareInterval) || 15) * 1000;
+    shared = { redis, interval };
+
+    let store = () => {
+        redis
+            .multi()
+            .set(SHARED_KEY + ':' + PROCESS_ID, JSON.stringify(registry.getMetricsAsJSON()), 'PX', interval * 3)
+            .zadd(SHARED_KEY, Date.now(), PROCESS_ID)
+            .exec()
+            .catch(callback);
+    };
+
+    store();
+    let timer = setInterval(store, interval);
+    timer.unref();
+}
+
+/**
+ * Returns metrics in Prometheus text format. If metrics are shared then values from all processes are aggregated
+ */
+async function getMetrics() {
+    if (!shared) {
+        return registry.metrics();
+    }
+
+    let { redis, interval } = shared;
+    await redis.zremrangebyscore(SHARED_KEY, '-inf', Date.now() - interval * 3);
+
+    let ids = (await redis.zrange(SHARED_KEY, 0, -1)).filter(id => id !== PROCESS_ID);
+    let values = ids.length ? await redis.mget(ids.map(id => SHARED_KEY + ':' + id)) : [];
+
+    let list = [registry.getMetricsAsJSON()];
+    values.forEach(value => {
+        try {
+            if (value) {
+                list.push(JSON.parse(value));
+            }
+        } catch (E) {
+            // ignore
+        }
+    });
+
+    return promClient.AggregatorRegistry.aggregate(list).metrics();
+}
+
+/**
+ * Starts a standalone HTTP server that serves metrics from /metrics
+ *
+ * @param {Object} options Server options as {port, host}
+ * @param {Function} callback Called with an error if the server fails
+ */
+function listen(options, callback) {
+    let server = http.createServer((req, res) => {
+        if (req.method !== 'GET' || req.url.split('?').shift() !== '/metrics') {
+            res.statusCode = 404;
+            return res.end('Not found\n');
+        }
+        getMetrics()
+            .then(data => {
+                res.setHeader('Content-Type', registry.contentType);
+                res.end(data);
+            })
+            .catch(err => {
+                res.statusCode = 500;
+                res.end(err.message + '\n');
+            });
+    });
+    server.once('error', callback);
+    server.listen(options.port, options.host || '127.0.0.1');
+    server.unref();
+    return server;
+}
+
+module.exports = {
+    registry,
+    auth,
+    rewrites,
+    rcptLimits,
+    sentUploads,
+    auditUploads,
+    dkimFailures,
+    srs,
+    recipientPolicy,
+    scans,
+    holdDecisions,
+    uploadRetries,
+    uploadRetryPending,
+    uploadRetryDead,
+    lookupDuration,
+    share,
+    getMetrics,
+    listen
+};
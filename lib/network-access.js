@@ -0,0 +1,127 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+const maxmind = require('maxmind');
+const networks = require('./networks');
+
+/**
+ * Restricts SMTP submission by source network and country.
+ *
+ * Allowed networks and countries can be set for an user with the `allowedNetworks` and
+ * `allowedCountries` user values or for all users of a domain in a separate collection as
+ * {domain, networks, countries}. User specific lists override domain lists. Domain lists of
+ * the primary address apply on login, lists of the envelope sender domain apply on MAIL FROM,
+ * so sending from an alias in another domain is restricted by both. Countries are
+ * resolved from an offline MaxMind database, logins from other countries are either denied
+ * or only flagged.
+ */
+class NetworkAccess {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+        this.users = options.users;
+        this.database = options.database;
+
+        this.enabled = !!this.config.enabled;
+        this.collection = this.config.collection || 'domainaccess';
+
+        this.geoip = this.config.geoip || {};
+        this.reader = false;
+    }
+
+    async init() {
+        if (!this.enabled || !this.geoip.enabled) {
+            return false;
+        }
+        this.reader = await maxmind.open(this.geoip.path, { watchForUpdates: !!this.geoip.watch });
+        return true;
+    }
+
+    /**
+     * Checks if an user is allowed to submit from an IP address
+     *
+     * @param {ObjectID|String} user User ID
+     * @param {String} ip Client IP address
+     * @param {String} [sender] Envelope sender address, if set then rules of the sender domain are checked
+     *                          instead of the domain of the primary address
+     * @returns {Object} Check result as {allowed, reason, country, flagged}
+     */
+    async check(user, ip, sender) {
+        if (!this.enabled) {
+            return { allowed: true };
+        }
+
+        let userData = await this.users
+            .collection('users')
+            .findOne({ _id: new ObjectID(user) }, { projection: { address: true, allowedNetworks: true, allowedCountries: true } });
+        if (!userData) {
+            return { allowed: true };
+        }
+
+        let domain = getDomain(userData.address);
+        if (sender) {
+            let senderDomain = getDomain(sender);
+            if (!senderDomain || senderDomain === domain) {
+                // already checked on login
+                return { allowed: true };
+            }
+            domain = senderDomain;
+        }
+
+        let domainData = (domain && (await this.database.collection(this.collection).findOne({ domain }))) || false;
+        if (sender && !domainData) {
+            // sender domain has no rules, user and default lists were already checked on login
+            return { allowed: true };
+        }
+        domainData = domainData || {};
+
+        let allowedNetworks = pickList(userData.allowedNetworks, domainData.networks);
+        if (allowedNetworks.length && !networks.createMatcher(allowedNetworks)(ip)) {
+            return { allowed: false, reason: 'network' };
+        }
+
+        let allowedCountries = pickList(userData.allowedCountries, domainData.countries, this.geoip.allowedCountries).map(country => country.toUpperCase());
+        let country = this.getCountry(ip);
+        if (!allowedCountries.length || !country || allowedCountries.includes(country)) {
+            return { allowed: true, country };
+        }
+
+        if (this.geoip.action === 'deny') {
+            return { allowed: false, reason: 'country', country };
+        }
+
+        return { allowed: true, country, flagged: true };
+    }
+
+    // returns ISO country code or false for unknown and private addresses
+    getCountry(ip) {
+        if (!this.reader || !ip) {
+            return false;
+        }
+        try {
+            let result = this.reader.get(ip.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1'));
+            let country = result && (result.country || result.registered_country);
+            return (country && country.iso_code) || false;
+        } catch (E) {
+            return false;
+        }
+    }
+}
+
+function getDomain(address) {
+    address = (address || '').toString();
+    return address.indexOf('@') >= 0 ? address.substr(address.lastIndexOf('@') + 1).toLowerCase() : '';
+}
+
+// first non-empty list wins
+function pickList(...lists) {
+    for (let list of lists) {
+        list = [].concat(list || []).filter(value => value);
+        if (list.length) {
+            return list;
+        }
+    }
+    return [];
+}
+
+module.exports = NetworkAccess;
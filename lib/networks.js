@@ -0,0 +1,117 @@
+'use strict';
+
+const net = require('net');
+
+/**
+ * Converts an IP address into a 16 byte buffer, IPv4 addresses are mapped into IPv6 space
+ */
+function toBytes(ip) {
+    ip = (ip || '').toString().trim();
+
+    // IPv4-mapped IPv6 address, eg. "::ffff:127.0.0.1"
+    let mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        ip = mapped[1];
+    }
+
+    let bytes = Buffer.alloc(16);
+    switch (net.isIP(ip)) {
+        case 4:
+            bytes[10] = 0xff;
+            bytes[11] = 0xff;
+            ip.split('.').forEach((part, i) => {
+                bytes[12 + i] = Number(part);
+            });
+            return bytes;
+
+        case 6: {
+            let parts = ip.split('::');
+            let head = parts[0] ? parts[0].split(':') : [];
+            let tail = parts.length > 1 && parts[1] ? parts[1].split(':') : [];
+
+            // embedded IPv4 in the last group
+            let last = tail.length ? tail : head;
+            if (last.length && last[last.length - 1].indexOf('.') >= 0) {
+                let v4 = last.pop().split('.');
+                last.push((Number(v4[0]) * 256 + Number(v4[1])).toString(16), (Number(v4[2]) * 256 + Number(v4[3])).toString(16));
+            }
+
+            let groups = head.concat(new Array(8 - head.length - tail.length).fill('0')).concat(tail);
+            groups.forEach((group, i) => {
+                bytes.writeUInt16BE(parseInt(group, 16) || 0, i * 2);
+            });
+            return bytes;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Parses a network definition, either a single address or CIDR notation
+ *
+ * @param {String} network Network as "192.168.1.0/24", "2001:db8::/32" or "10.0.0.1"
+ * @returns {Object|Boolean} Parsed network as {bytes, prefix} or false if invalid
+ */
+function parseNetwork(network) {
+    let parts = (network || '')
+        .toString()
+        .trim()
+        .split('/');
+    let bytes = toBytes(parts[0]);
+    if (!bytes) {
+        return false;
+    }
+
+    let isV4 = net.isIP(parts[0]) === 4;
+    let maxPrefix = isV4 ? 32 : 128;
+
+    let prefix = parts.length > 1 ? Number(parts[1]) : maxPrefix;
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+        return false;
+    }
+
+    return {
+        bytes,
+        // IPv4 networks are matched against the mapped address space
+        prefix: isV4 ? prefix + 96 : prefix
+    };
+}
+
+function inNetwork(bytes, network) {
+    let prefix = network.prefix;
+    for (let i = 0; i < 16 && prefix > 0; i++, prefix -= 8) {
+        // compare only the leading bits of a partial byte
+        let divisor = prefix >= 8 ? 1 : Math.pow(2, 8 - prefix);
+        if (Math.floor(bytes[i] / divisor) !== Math.floor(network.bytes[i] / divisor)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Creates a function that checks if an IP address belongs to any of the listed networks.
+ * Invalid network definitions are ignored
+ *
+ * @param {Array} networks List of networks in CIDR notation
+ * @returns {Function} Matcher function `ip => Boolean`
+ */
+function createMatcher(networks) {
+    let parsed = []
+        .concat(networks || [])
+        .map(parseNetwork)
+        .filter(network => network);
+    return ip => {
+        let bytes = parsed.length && toBytes(ip);
+        if (!bytes) {
+            return false;
+        }
+        return parsed.some(network => inNetwork(bytes, network));
+    };
+}
+
+module.exports = {
+    parseNetwork,
+    createMatcher
+};
@@ -0,0 +1,222 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const urllib = require('url');
+const querystring = require('querystring');
+
+const ALGORITHMS = {
+    RS256: { hash: 'RSA-SHA256' },
+    RS384: { hash: 'RSA-SHA384' },
+    RS512: { hash: 'RSA-SHA512' },
+    ES256: { hash: 'SHA256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'SHA384', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'SHA512', dsaEncoding: 'ieee-p1363' }
+};
+
+// JWK key import was added in Node.js v15.12.0, ES* signatures also need dsaEncoding from v13.2.0
+const JWK_SUPPORTED = (([major, minor]) => major > 15 || (major === 15 && minor >= 12))(process.versions.node.split('.').map(Number));
+
+/**
+ * Validates OAuth2 bearer tokens either by checking JWT signatures against keys from
+ * a JWKS file or by using a token introspection endpoint (RFC7662)
+ */
+class OAuthTokens {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+
+        this.enabled = !!this.config.enabled;
+        this.mode = this.config.introspection && this.config.introspection.url ? 'introspection' : 'jwks';
+        this.subjectClaim = this.config.subjectClaim || 'sub';
+        this.clockTolerance = Number(this.config.clockTolerance) || 60;
+        // signed tokens can not be revoked, so these must expire within this time
+        this.maxLifetime = Number(this.config.maxLifetime) || 24 * 3600;
+
+        this.keys = false;
+    }
+
+    /**
+     * Loads signing keys from the JWKS file, can be called again to reload keys
+     */
+    async loadKeys() {
+        if (!this.enabled || this.mode !== 'jwks') {
+            return false;
+        }
+
+        if (!JWK_SUPPORTED) {
+            throw new Error('JWKS files require Node.js v15.12.0 or newer, use token introspection instead');
+        }
+
+        let jwks = JSON.parse(await fs.promises.readFile(this.config.jwks, 'utf-8'));
+
+        this.keys = [].concat(jwks.keys || []).map(jwk => ({
+            kid: jwk.kid,
+            alg: jwk.alg,
+            key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+        }));
+
+        return this.keys.length;
+    }
+
+    /**
+     * Validates a token
+     *
+     * @param {String} token Bearer token
+     * @returns {Object} Token info as {subject, scope, claims}
+     */
+    async verify(token) {
+        let claims = this.mode === 'introspection' ? await this.introspect(token) : this.verifyJWT(token);
+
+        let now = Math.floor(Date.now() / 1000);
+        if (this.mode !== 'introspection') {
+            // introspection endpoint checks if the token is still active, JWTs are only checked locally
+            if (!claims.exp) {
+                throw tokenError('Token does not expire');
+            }
+            if (Number(claims.exp) - (Number(claims.iat) || now) > this.maxLifetime) {
+                throw tokenError('Token lifetime is too long');
+            }
+        }
+        if (claims.exp && Number(claims.exp) + this.clockTolerance < now) {
+            throw tokenError('Token has expired');
+        }
+        if (claims.nbf && Number(claims.nbf) - this.clockTolerance > now) {
+            throw tokenError('Token is not yet valid');
+        }
+
+        if (this.config.issuer && claims.iss !== this.config.issuer) {
+            throw tokenError('Unexpected token issuer');
+        }
+
+        if (this.config.audience && ![].concat(claims.aud || []).includes(this.config.audience)) {
+            throw tokenError('Unexpected token audience');
+        }
+
+        let scope = (claims.scope || claims.scp || '').toString().split(/[\s,]+/);
+        if (this.config.scope && !scope.includes(this.config.scope)) {
+            throw tokenError('Token does not include required scope');
+        }
+
+        let subject = claims[this.subjectClaim];
+        if (!subject) {
+            throw tokenError('Token does not include a subject');
+        }
+
+        return {
+            subject: subject.toString(),
+            scope,
+            claims
+        };
+    }
+
+    verifyJWT(token) {
+        let parts = (token || '').split('.');
+        if (parts.length !== 3) {
+            throw tokenError('Invalid token format');
+        }
+
+        let header, claims;
+        try {
+            header = JSON.parse(Buffer.from(parts[0], 'base64').toString());
+            claims = JSON.parse(Buffer.from(parts[1], 'base64').toString());
+        } catch (E) {
+            throw tokenError('Invalid token format');
+        }
+
+        let algorithm = ALGORITHMS[header.alg];
+        if (!algorithm) {
+            throw tokenError('Unsupported token algorithm');
+        }
+
+        let keys = (this.keys || []).filter(key => (!header.kid || key.kid === header.kid) && (!key.alg || key.alg === header.alg));
+        let signature = Buffer.from(parts[2], 'base64');
+
+        let valid = keys.some(key => {
+            try {
+                return crypto.verify(
+                    algorithm.hash,
+                    Buffer.from(parts[0] + '.' + parts[1]),
+                    algorithm.dsaEncoding ? { key: key.key, dsaEncoding: algorithm.dsaEncoding } : key.key,
+                    signature
+                );
+            } catch (E) {
+                return false;
+            }
+        });
+
+        if (!valid) {
+            throw tokenError('Invalid token signature');
+        }
+
+        return claims;
+    }
+
+    introspect(token) {
+        let introspection = this.config.introspection;
+        let body = Buffer.from(querystring.stringify({ token, token_type_hint: 'access_token' }));
+        let parsed = urllib.parse(introspection.url);
+
+        let headers = {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Length': body.length,
+            Accept: 'application/json'
+        };
+        if (introspection.clientId) {
+            headers.Authorization =
+                'Basic ' +
+                Buffer.from(encodeURIComponent(introspection.clientId) + ':' + encodeURIComponent(introspection.clientSecret || '')).toString('base64');
+        }
+
+        return new Promise((resolve, reject) => {
+            let req = (parsed.protocol === 'https:' ? https : http).request(
+                Object.assign({}, parsed, {
+                    method: 'POST',
+                    headers,
+                    timeout: Number(introspection.timeout) || 10 * 1000
+                }),
+                res => {
+                    let chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('error', reject);
+                    res.on('end', () => {
+                        if (res.statusCode !== 200) {
+                            return reject(new Error('Unexpected introspection response code ' + res.statusCode));
+                        }
+
+                        let claims;
+                        try {
+                            claims = JSON.parse(Buffer.concat(chunks).toString());
+                        } catch (E) {
+                            return reject(new Error('Invalid introspection response'));
+                        }
+
+                        if (!claims || !claims.active) {
+                            return reject(tokenError('Token is not active'));
+                        }
+                        resolve(claims);
+                    });
+                }
+            );
+            req.on('timeout', () => req.abort());
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+}
+
+// invalid tokens are reported as failed authentication, not as errors
+function tokenError(message) {
+    let err = new Error(message);
+    err.code = 'InvalidToken';
+    return err;
+}
+
+/**
+ * Checks if a password looks like a JWT, used when bearer tokens are accepted as passwords
+ */
+OAuthTokens.isJWT = password => /^[\w-]+\.[\w-]+\.[\w-]+$/.test(password || '');
+
+module.exports = OAuthTokens;
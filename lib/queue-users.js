@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Remembers which user submitted a queued message. Log entries besides QUEUED do not include
+ * user info and are emitted by sender processes, so the mapping is stored in Redis as
+ * `wdqu:<queueId>` and shared by the abuse policy and the delivery log
+ */
+class QueueUsers {
+    constructor(options) {
+        options = options || {};
+        this.redis = options.redis;
+
+        // should cover the whole time a message can stay in the queue
+        this.ttl = Number(options.ttl) || 7 * 24 * 3600;
+    }
+
+    /**
+     * Stores the user for a queue id, called from message:queue before the message is queued
+     *
+     * @param {String} queueId Queue ID
+     * @param {ObjectID|String} user User ID
+     */
+    async register(queueId, user) {
+        if (!queueId || !user) {
+            return false;
+        }
+        await this.redis.set('wdqu:' + queueId, user.toString(), 'EX', this.ttl);
+        return true;
+    }
+
+    /**
+     * @param {String} queueId Queue ID
+     * @returns {String|Boolean} User ID or false if the queue does not belong to a known user
+     */
+    async resolve(queueId) {
+        if (!queueId) {
+            return false;
+        }
+        return (await this.redis.get('wdqu:' + queueId)) || false;
+    }
+}
+
+module.exports = QueueUsers;
@@ -0,0 +1,168 @@
+'use strict';
+
+// stronger actions win if several rules match the same recipient
+const ACTIONS = ['reject', 'hold', 'log'];
+
+/**
+ * Matches recipients of outbound messages against policy rules.
+ *
+ * Rules are listed in plugin config and in a MongoDB collection. A rule is global unless it
+ * is limited to users of a sender domain with `domain` or to a single user with `user`:
+ *
+ *   {pattern: "*.example.com", action: "hold", domain: "sender.com", user: ObjectID, message: "..."}
+ *
+ * Patterns without @ are matched against the recipient domain, patterns with @ against the
+ * full address. "*" matches any sequence of characters, patterns between slashes are used as
+ * regular expressions. Rules from the collection are cached for `cacheTime` seconds.
+ *
+ * Every match is stored to an audit collection that expires using a TTL index.
+ */
+class RecipientPolicy {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+        this.database = options.database;
+
+        this.enabled = !!this.config.enabled;
+        this.collection = this.config.collection || 'recipientpolicies';
+        this.auditCollection = this.config.auditCollection || 'recipientpolicylog';
+        this.expireAfterSeconds = (Number(this.config.auditTtlDays) || 90) * 24 * 3600;
+        this.cacheTime = (Number(this.config.cacheTime) || 60) * 1000;
+
+        this.configRules = [].concat(this.config.rules || []).map((rule, i) => compileRule(rule, 'config:' + (i + 1)));
+
+        this.cached = false;
+        this.cacheExpires = 0;
+    }
+
+    async ensureIndexes() {
+        await this.database.collection(this.auditCollection).createIndexes([
+            { name: 'user_created', key: { user: 1, created: -1 } },
+            { name: 'queue_id', key: { queueId: 1 } },
+            { name: 'entry_ttl', key: { created: 1 }, expireAfterSeconds: this.expireAfterSeconds }
+        ]);
+    }
+
+    async loadRules() {
+        if (this.cached && this.cacheExpires > Date.now()) {
+            return this.cached;
+        }
+
+        let rules = await this.database
+            .collection(this.collection)
+            .find({ enabled: { $ne: false } })
+            .toArray();
+
+        this.cached = rules.map(rule => compileRule(rule, rule._id.toString()));
+        this.cacheExpires = Date.now() + this.cacheTime;
+
+        return this.cached;
+    }
+
+    /**
+     * Checks a recipient address of an user
+     *
+     * @param {Object} userData User info as {_id, address}
+     * @param {String} recipient Recipient address
+     * @returns {Object|Boolean} Match as {action, rule, matches} where `rule` is the rule with the strongest action, false if no rules match
+     */
+    async check(userData, recipient) {
+        if (!this.enabled) {
+            return false;
+        }
+
+        let rules = this.configRules.concat(await this.loadRules());
+
+        let user = userData._id.toString();
+        let senderDomain = (userData.address || '').split('@').pop();
+
+        recipient = (recipient || '').toLowerCase().trim();
+        let recipientDomain = recipient.substr(recipient.lastIndexOf('@') + 1);
+
+        let matches = rules.filter(rule => {
+            if (!rule.action || (rule.user && rule.user !== user) || (rule.domain && rule.domain !== senderDomain)) {
+                return false;
+            }
+            return rule.matcher.test(rule.fullAddress ? recipient : recipientDomain);
+        });
+
+        if (!matches.length) {
+            return false;
+        }
+
+        let rule = matches.reduce((strongest, rule) => (ACTIONS.indexOf(rule.action) < ACTIONS.indexOf(strongest.action) ? rule : strongest));
+
+        return {
+            action: rule.action,
+            rule,
+            matches
+        };
+    }
+
+    /**
+     * Stores a match to the audit collection
+     *
+     * @param {Object} match Match from `check()`
+     * @param {Object} info Match info as {user, queueId, from, recipient, ip}
+     */
+    async logMatch(match, info) {
+        await this.database.collection(this.auditCollection).insertOne({
+            user: info.user,
+            queueId: info.queueId,
+            from: info.from || '',
+            recipient: info.recipient,
+            ip: info.ip,
+            action: match.action,
+            rule: match.rule.id,
+            matches: match.matches.map(rule => ({
+                id: rule.id,
+                action: rule.action,
+                pattern: rule.pattern,
+                scope: rule.scope,
+                description: rule.description
+            })),
+            created: new Date()
+        });
+    }
+}
+
+function compileRule(rule, id) {
+    let pattern = (rule.pattern || '').toString().trim();
+    let action = (rule.action || '').toString().toLowerCase();
+
+    let matcher;
+    if (pattern.length > 2 && pattern.charAt(0) === '/' && pattern.charAt(pattern.length - 1) === '/') {
+        try {
+            matcher = new RegExp(pattern.substr(1, pattern.length - 2), 'i');
+        } catch (E) {
+            matcher = false;
+        }
+    } else if (pattern) {
+        matcher = new RegExp(
+            '^' +
+                pattern
+                    .toLowerCase()
+                    .split('*')
+                    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                    .join('.*') +
+                '$'
+        );
+    }
+
+    return {
+        id,
+        description: rule.description || '',
+        pattern,
+        // invalid rules never match
+        action: matcher && ACTIONS.includes(action) ? action : false,
+        message: rule.message || '',
+        responseCode: Number(rule.responseCode) || 550,
+        user: rule.user ? rule.user.toString() : false,
+        domain: rule.domain ? rule.domain.toString().toLowerCase() : false,
+        scope: rule.user ? 'user' : rule.domain ? 'domain' : 'global',
+        fullAddress: pattern.indexOf('@') >= 0,
+        matcher
+    };
+}
+
+module.exports = RecipientPolicy;
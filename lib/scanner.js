@@ -0,0 +1,194 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const urllib = require('url');
+
+// clamd reads INSTREAM data in length prefixed chunks
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Scans outbound messages with Rspamd (HTTP /checkv2 endpoint) and ClamAV (clamd INSTREAM).
+ * Either or both scanners can be configured, results are merged.
+ *
+ * Score thresholds decide what happens with the message, thresholds from plugin config can be
+ * overridden per user with the `scanThresholds` user value, eg. {headers: 5, hold: 10, reject: 15}.
+ * Infected messages are handled by `virusAction`.
+ */
+class Scanner {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+
+        this.rspamd = this.config.rspamd && this.config.rspamd.url ? this.config.rspamd : false;
+        this.clamav = this.config.clamav && (this.config.clamav.socket || this.config.clamav.port) ? this.config.clamav : false;
+
+        this.enabled = !!this.config.enabled && !!(this.rspamd || this.clamav);
+        this.thresholds = Object.assign({ headers: 5, hold: 0, reject: 15 }, this.config.thresholds || {});
+        this.virusAction = this.config.virusAction || 'reject';
+        this.failAction = this.config.failAction || 'accept';
+    }
+
+    /**
+     * Scans a message
+     *
+     * @param {Buffer} raw Message source
+     * @param {Object} info Envelope info as {id, from, to, ip, user, hostname}
+     * @returns {Object} Scan result as {score, symbols, rspamdAction, virus}
+     */
+    async scan(raw, info) {
+        let [spam, virus] = await Promise.all([this.rspamd ? this.checkRspamd(raw, info) : false, this.clamav ? this.checkClamav(raw) : false]);
+
+        return {
+            score: spam ? spam.score : 0,
+            symbols: spam ? spam.symbols : [],
+            rspamdAction: spam ? spam.action : false,
+            virus: virus || false
+        };
+    }
+
+    /**
+     * Resolves what to do with a scanned message
+     *
+     * @param {Object} result Scan result
+     * @param {Object} [userThresholds] User specific thresholds
+     * @returns {String|Boolean} One of "reject", "hold", "headers" or false if the message is clean
+     */
+    getAction(result, userThresholds) {
+        if (result.virus) {
+            return this.virusAction;
+        }
+
+        let thresholds = Object.assign({}, this.thresholds, userThresholds || {});
+        for (let action of ['reject', 'hold', 'headers']) {
+            let threshold = Number(thresholds[action]);
+            if (threshold && result.score >= threshold) {
+                return action;
+            }
+        }
+
+        return false;
+    }
+
+    checkRspamd(raw, info) {
+        let parsed = urllib.parse(this.rspamd.url.replace(/\/+$/, '') + '/checkv2');
+
+        let headers = {
+            'Content-Length': raw.length,
+            'Queue-Id': info.id,
+            From: info.from || '',
+            Rcpt: [].concat(info.to || []),
+            IP: info.ip || '',
+            User: info.user || '',
+            Hostname: info.hostname || ''
+        };
+        if (this.rspamd.password) {
+            headers.Password = this.rspamd.password;
+        }
+        Object.keys(headers).forEach(key => {
+            if (headers[key] === '') {
+                delete headers[key];
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            let req = (parsed.protocol === 'https:' ? https : http).request(
+                Object.assign({}, parsed, {
+                    method: 'POST',
+                    headers,
+                    timeout: Number(this.rspamd.timeout) || 10 * 1000
+                }),
+                res => {
+                    let chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('error', reject);
+                    res.on('end', () => {
+                        if (res.statusCode !== 200) {
+                            return reject(new Error('Unexpected Rspamd response code ' + res.statusCode));
+                        }
+
+                        let response;
+                        try {
+                            response = JSON.parse(Buffer.concat(chunks).toString());
+                        } catch (E) {
+                            return reject(new Error('Invalid Rspamd response'));
+                        }
+
+                        resolve({
+                            score: Math.round((Number(response.score) || 0) * 100) / 100,
+                            action: response.action || false,
+                            symbols: Object.keys(response.symbols || {})
+                                .map(key => ({
+                                    name: response.symbols[key].name || key,
+                                    score: Number(response.symbols[key].score) || 0
+                                }))
+                                .filter(symbol => symbol.score)
+                                .sort((a, b) => b.score - a.score)
+                        });
+                    });
+                }
+            );
+            req.on('timeout', () => req.abort());
+            req.on('error', reject);
+            req.end(raw);
+        });
+    }
+
+    checkClamav(raw) {
+        return new Promise((resolve, reject) => {
+            let socket = this.clamav.socket ? net.connect(this.clamav.socket) : net.connect(this.clamav.port, this.clamav.host || '127.0.0.1');
+            let chunks = [];
+            let finished = false;
+
+            let done = (err, result) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                socket.destroy();
+                if (err) {
+                    return reject(err);
+                }
+                resolve(result);
+            };
+
+            socket.setTimeout(Number(this.clamav.timeout) || 10 * 1000);
+            socket.on('timeout', () => done(new Error('ClamAV scan timed out')));
+            socket.on('error', done);
+            socket.on('data', chunk => chunks.push(chunk));
+            socket.on('end', () => {
+                // response looks like "stream: OK" or "stream: Eicar-Signature FOUND"
+                let response = Buffer.concat(chunks)
+                    .toString()
+                    .replace(/\0/g, '')
+                    .trim();
+
+                if (/\bOK$/.test(response)) {
+                    return done(null, false);
+                }
+
+                let match = response.match(/^[^:]*:\s*(.+)\s+FOUND$/);
+                if (match) {
+                    return done(null, match[1]);
+                }
+
+                done(new Error('Unexpected ClamAV response ' + JSON.stringify(response)));
+            });
+
+            socket.on('connect', () => {
+                socket.write('zINSTREAM\0');
+                for (let pos = 0; pos < raw.length; pos += CLAMAV_CHUNK_SIZE) {
+                    let chunk = raw.slice(pos, pos + CLAMAV_CHUNK_SIZE);
+                    let size = Buffer.alloc(4);
+                    size.writeUInt32BE(chunk.length, 0);
+                    socket.write(size);
+                    socket.write(chunk);
+                }
+                socket.write(Buffer.alloc(4));
+            });
+        });
+    }
+}
+
+module.exports = Scanner;
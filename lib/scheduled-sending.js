@@ -0,0 +1,148 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+
+/**
+ * Delayed delivery for messages submitted with a `X-WildDuck-Deliver-At` header.
+ *
+ * Scheduled messages are queued with `deferDelivery` set to the requested time. Every scheduled
+ * message gets a record {queueId, user, deliverAt, from, recipients, subject, status, created},
+ * `status` is "scheduled" or "cancelled". Ownership is checked against the record, so messages
+ * can be cancelled until released by the queue even if the Sent Mail copy was not stored:
+ *
+ *   let scheduledSending = new ScheduledSending({ database, queueDb });
+ *   let cancelled = await scheduledSending.cancel(userId, queueId);
+ */
+class ScheduledSending {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+        this.database = options.database;
+        this.queueDb = options.queueDb;
+
+        this.enabled = !!this.config.enabled;
+        this.header = this.config.header || 'X-WildDuck-Deliver-At';
+        // must stay below queue.maxQueueTime of ZoneMTA (30 days by default), older messages are removed from the queue without a bounce
+        this.maxDelay = (Number(this.config.maxDays) || 20) * 24 * 3600 * 1000;
+        this.queueCollection = this.config.queueCollection || 'zone-queue';
+        this.collection = this.config.collection || 'scheduledmessages';
+        this.expireAfterSeconds = (Number(this.config.ttlDays) || 30) * 24 * 3600;
+    }
+
+    async ensureIndexes() {
+        await this.database.collection(this.collection).createIndexes([
+            { name: 'queue_id', key: { queueId: 1 }, unique: true },
+            { name: 'user_deliver_at', key: { user: 1, deliverAt: -1 } },
+            { name: 'scheduled_ttl', key: { deliverAt: 1 }, expireAfterSeconds: this.expireAfterSeconds }
+        ]);
+    }
+
+    /**
+     * Parses a delivery time value, either a date string (RFC2822 or ISO8601) or an unix timestamp in seconds
+     *
+     * @param {String} value Header value
+     * @returns {Date|Boolean} Requested time, false if the message should be delivered immediately
+     * @throws {Error} If the value is invalid or too far in the future
+     */
+    parse(value) {
+        value = (value || '').toString().trim();
+        if (!value) {
+            return false;
+        }
+
+        let time = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+        if (!time) {
+            let err = new Error('Invalid ' + this.header + ' value');
+            err.responseCode = 550;
+            err.name = 'SMTPResponse'; // do not throw
+            throw err;
+        }
+
+        if (time <= Date.now()) {
+            return false;
+        }
+
+        if (time > Date.now() + this.maxDelay) {
+            let err = new Error('Delivery can not be scheduled more than ' + Math.round(this.maxDelay / (24 * 3600 * 1000)) + ' days ahead');
+            err.responseCode = 550;
+            err.name = 'SMTPResponse'; // do not throw
+            throw err;
+        }
+
+        return new Date(time);
+    }
+
+    /**
+     * Stores a record for a scheduled message. Called from message:queue
+     *
+     * @param {String} queueId Queue ID
+     * @param {ObjectID} user User ID
+     * @param {Object} data Message info as {deliverAt, from, recipients, subject}
+     */
+    async schedule(queueId, user, data) {
+        await this.database.collection(this.collection).insertOne({
+            queueId,
+            user: new ObjectID(user),
+            deliverAt: new Date(data.deliverAt),
+            from: data.from || '',
+            recipients: [].concat(data.recipients || []),
+            subject: data.subject || '',
+            status: 'scheduled',
+            created: new Date()
+        });
+    }
+
+    /**
+     * Lists scheduled messages of an user
+     *
+     * @param {ObjectID|String} user User ID
+     * @param {Object} [options] Options as {status, limit}
+     */
+    async list(user, options) {
+        options = options || {};
+
+        let query = { user: new ObjectID(user) };
+        if (options.status) {
+            query.status = options.status;
+        }
+
+        return await this.database
+            .collection(this.collection)
+            .find(query)
+            .sort({ deliverAt: -1 })
+            .limit(Math.min(Number(options.limit) || 20, 250))
+            .toArray();
+    }
+
+    /**
+     * Cancels a scheduled message that has not been released yet
+     *
+     * @param {ObjectID|String} user User ID
+     * @param {String} queueId Queue ID
+     * @returns {Number|Boolean} Count of cancelled deliveries, false if the message was not found or is not scheduled anymore
+     */
+    async cancel(user, queueId) {
+        let now = new Date();
+        let scheduled = await this.database
+            .collection(this.collection)
+            .findOne({ queueId, user: new ObjectID(user), status: 'scheduled', deliverAt: { $gt: now } });
+        if (!scheduled) {
+            return false;
+        }
+
+        // deliveries that are already due might be in process by a sender
+        let r = await this.queueDb.collection(this.queueCollection).deleteMany({ id: queueId, queued: { $gt: now } });
+        if (!r.deletedCount) {
+            return false;
+        }
+
+        await this.database.collection(this.collection).updateOne({ _id: scheduled._id }, { $set: { status: 'cancelled', cancelled: now } });
+
+        // Sent Mail copy is marked if it exists
+        await this.database.collection('messages').updateMany({ user: scheduled.user, outbound: queueId }, { $set: { 'meta.cancelled': now } });
+
+        return r.deletedCount;
+    }
+}
+
+module.exports = ScheduledSending;
@@ -0,0 +1,139 @@
+'use strict';
+
+// Outlook stores its own copy of sent messages, uploading would create duplicates
+const OUTLOOK_CLIENT = /\b(Microsoft Outlook|Microsoft Office Outlook|Microsoft-MacOutlook|Outlook-Express)\b/i;
+
+const SKIP_VALUES = ['no', 'false', 'skip', '0'];
+const FORCE_VALUES = ['yes', 'true', 'force', '1'];
+
+/**
+ * Returns client identification from User-Agent and X-Mailer headers
+ *
+ * @param {Object} headers Message headers
+ * @returns {String} Client string, empty if not set
+ */
+function getClient(headers) {
+    return ['user-agent', 'x-mailer']
+        .map(key => headers.getFirst(key))
+        .filter(value => value)
+        .join(' ')
+        .trim();
+}
+
+/**
+ * Parses the upload header value
+ *
+ * @returns {String|Boolean} "skip", "force" or false if not set or unknown
+ */
+function parseOverride(value) {
+    value = (value || '')
+        .toString()
+        .trim()
+        .toLowerCase();
+    if (SKIP_VALUES.includes(value)) {
+        return 'skip';
+    }
+    if (FORCE_VALUES.includes(value)) {
+        return 'force';
+    }
+    return false;
+}
+
+/**
+ * Checks if a message should be uploaded to the Sent Mail folder. The upload header wins over
+ * everything else, then the user setting, then configured rules in listed order and finally
+ * the default Outlook check that is disabled with `uploadAll`.
+ *
+ * Rules are listed as {client, asp, action} where `client` is a substring or a /regex/ matched
+ * against User-Agent and X-Mailer, `asp` is the ID or description of the application specific
+ * password and `action` is "skip" or "upload". All conditions set for a rule must match.
+ *
+ * @param {Object} options Upload config as {uploadAll, rules}
+ * @param {Object} info Message info as {enabled, override, client, asp}
+ * @returns {Object} Result as {upload, reason}
+ */
+function check(options, info) {
+    options = options || {};
+
+    if (info.override === 'force') {
+        return { upload: true, reason: 'header' };
+    }
+
+    if (info.override === 'skip') {
+        return { upload: false, reason: 'header' };
+    }
+
+    if (!info.enabled) {
+        return { upload: false, reason: 'disabled' };
+    }
+
+    let rule = [].concat(options.rules || []).find(rule => matchRule(rule, info));
+    if (rule) {
+        return { upload: rule.action !== 'skip', reason: 'rule' };
+    }
+
+    if (!options.uploadAll && OUTLOOK_CLIENT.test(info.client || '')) {
+        return { upload: false, reason: 'outlook' };
+    }
+
+    return { upload: true, reason: 'default' };
+}
+
+function matchRule(rule, info) {
+    if (!rule || (!rule.client && !rule.asp)) {
+        return false;
+    }
+
+    if (rule.client && !matchValue(rule.client, info.client)) {
+        return false;
+    }
+
+    if (rule.asp) {
+        let asp = info.asp;
+        if (!asp || (asp.asp !== rule.asp && (asp.description || '').toLowerCase() !== rule.asp.toString().toLowerCase())) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+function matchValue(pattern, value) {
+    pattern = pattern.toString();
+    value = (value || '').toString();
+
+    if (pattern.length > 2 && pattern.charAt(0) === '/' && pattern.charAt(pattern.length - 1) === '/') {
+        try {
+            return new RegExp(pattern.substr(1, pattern.length - 2), 'i').test(value);
+        } catch (E) {
+            return false;
+        }
+    }
+
+    return value.toLowerCase().indexOf(pattern.toLowerCase()) >= 0;
+}
+
+/**
+ * Resolves the target mailbox for the stored copy. Values starting with a backslash are special
+ * use flags, other values are mailbox paths
+ *
+ * @param {Object} userData User info, `sentMailbox` overrides the configured default
+ * @param {Object} options Upload config as {mailbox}
+ * @returns {Object} Mailbox options for message upload as {specialUse} or {path}
+ */
+function getTarget(userData, options) {
+    let mailbox = ((userData && userData.sentMailbox) || (options && options.mailbox) || '\\Sent').toString().trim();
+
+    if (mailbox.charAt(0) === '\\') {
+        return { specialUse: mailbox };
+    }
+
+    return { path: mailbox };
+}
+
+module.exports = {
+    getClient,
+    parseOverride,
+    check,
+    getTarget
+};
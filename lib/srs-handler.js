@@ -0,0 +1,98 @@
+'use strict';
+
+const SRS = require('srs.js');
+
+/**
+ * SRS rewriting with support for rotated secrets. New addresses are always signed with
+ * the current secret, reversing also accepts addresses signed with previous secrets
+ */
+class SRSHandler {
+    constructor(options) {
+        options = options || {};
+
+        this.rewriteDomain = options.rewriteDomain || '';
+
+        let secrets = [].concat(options.secret || '?').concat(options.previousSecrets || []);
+        this.rewriters = secrets.map(
+            secret =>
+                new SRS({
+                    secret,
+                    maxAge: Number(options.maxAge) || 21
+                })
+        );
+    }
+
+    /**
+     * Rewrites an address to an SRS address in the rewrite domain. Already rewritten
+     * SRS0 addresses are converted to SRS1 addresses
+     *
+     * @param {String} address Email address to rewrite
+     * @returns {String} SRS address
+     */
+    rewrite(address) {
+        let local = address.substr(0, address.lastIndexOf('@'));
+        let domain = address.substr(address.lastIndexOf('@') + 1).toLowerCase();
+        return this.rewriters[0].rewrite(local, domain) + '@' + this.rewriteDomain;
+    }
+
+    /**
+     * Checks if an address looks like an SRS address for the rewrite domain
+     */
+    isSRSAddress(address) {
+        let local = address.substr(0, address.lastIndexOf('@'));
+        let domain = address.substr(address.lastIndexOf('@') + 1).toLowerCase();
+        return !!this.rewriteDomain && domain === this.rewriteDomain.toLowerCase() && /^SRS[01][-=+]/i.test(local);
+    }
+
+    /**
+     * Reverses an SRS address. Throws if the address can not be verified,
+     * err.code is set to 'SRSExpired' or 'SRSInvalid'
+     *
+     * @param {String} address SRS address
+     * @returns {String} Original address (or previous hop SRS0 address for SRS1 addresses)
+     */
+    reverse(address) {
+        // srs.js compares the hash as lower case hex and expects the prefix and timestamp in upper case. Some
+        // servers change the case of the address, domains are always hashed in lower case
+        let local = address
+            .substr(0, address.lastIndexOf('@'))
+            .replace(
+                /^srs0([-=+])([0-9a-f]{4})=([a-z2-7]{2})=([^=]*)=/i,
+                (match, separator, hash, timestamp, domain) =>
+                    'SRS0' + separator + hash.toLowerCase() + '=' + timestamp.toUpperCase() + '=' + domain.toLowerCase() + '='
+            )
+            .replace(
+                /^srs1([-=+])([0-9a-f]{4})=([^=]*)=/i,
+                (match, separator, hash, domain) => 'SRS1' + separator + hash.toLowerCase() + '=' + domain.toLowerCase() + '='
+            );
+
+        let lastError;
+        for (let rewriter of this.rewriters) {
+            let result;
+            try {
+                result = rewriter.reverse(local);
+            } catch (E) {
+                if (/expired/i.test(E.message)) {
+                    // signature matched, so there is no point trying other secrets
+                    let err = new Error('SRS address has expired');
+                    err.code = 'SRSExpired';
+                    throw err;
+                }
+                lastError = E;
+                continue;
+            }
+
+            if (!result) {
+                break;
+            }
+
+            return result[0] + '@' + result[1];
+        }
+
+        let err = new Error('Invalid SRS address' + (lastError ? '. ' + lastError.message : ''));
+        err.code = 'SRSInvalid';
+        throw err;
+    }
+}
+
+module.exports = SRSHandler;
@@ -0,0 +1,191 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// how long a claimed job is reserved for the claiming process
+const LEASE_TIME = 10 * 60 * 1000;
+
+// moves a due job to the end of the lease in one step, returns 1 if the job was claimed
+const CLAIM_SCRIPT = `
+local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if not score or tonumber(score) > tonumber(ARGV[2]) then
+    return 0
+end
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+return 1
+`;
+
+// dead letter list is capped, older entries expire anyway
+const MAX_DEAD = 10000;
+
+/**
+ * Durable retry list for failed Sent Mail and audit uploads.
+ *
+ * Failed uploads are stored to Redis, so retries survive MongoDB outages and restarts. Every job
+ * is stored as a hash `wdur:job:<id>` with the message source in `wdur:raw:<id>`. Pending jobs are
+ * listed in the sorted set `wdur:pending` scored by the next attempt time. Jobs are retried with
+ * exponential backoff and moved to the `wdur:dead` list once `maxAttempts` is reached. Dead
+ * letters are kept for `deadTtlDays` days and can be moved back with `requeueDead()`.
+ */
+class UploadRetry {
+    constructor(options) {
+        options = options || {};
+        this.config = options.config || {};
+        this.redis = options.redis;
+
+        // upload functions by job type, called as `handler(data, raw)`
+        this.handlers = options.handlers || {};
+
+        this.enabled = !!this.config.enabled;
+        this.maxAttempts = Number(this.config.maxAttempts) || 10;
+        this.baseDelay = (Number(this.config.baseDelay) || 60) * 1000;
+        this.maxDelay = (Number(this.config.maxDelay) || 6 * 3600) * 1000;
+        this.deadTtl = (Number(this.config.deadTtlDays) || 30) * 24 * 3600;
+        this.batchSize = Number(this.config.batchSize) || 10;
+    }
+
+    /**
+     * Adds a failed upload to the retry list
+     *
+     * @param {String} type Job type, "sent" or "audit"
+     * @param {Object} data JSON serializable upload info, must include `queueId`
+     * @param {Buffer} raw Message source
+     * @param {Error} err Error from the failed upload
+     * @returns {String} Job ID
+     */
+    async add(type, data, raw, err) {
+        let id = data.queueId + '.' + type + '.' + crypto.randomBytes(4).toString('hex');
+
+        await this.redis
+            .multi()
+            .hmset('wdur:job:' + id, {
+                type,
+                data: JSON.stringify(data),
+                attempts: 1,
+                created: Date.now(),
+                error: (err && err.message) || ''
+            })
+            .set('wdur:raw:' + id, raw)
+            .zadd('wdur:pending', Date.now() + this.getDelay(1), id)
+            .exec();
+
+        return id;
+    }
+
+    getDelay(attempts) {
+        return Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+    }
+
+    /**
+     * Retries jobs that are due. Several processes can run this at once, a job is only processed
+     * by the process that manages to move it from the due range to the end of its lease
+     *
+     * @returns {Array} Processed jobs as {id, type, data, attempts, result, error}, `result` is one of "success", "retry" or "dead"
+     */
+    async process() {
+        let ids = await this.redis.zrangebyscore('wdur:pending', '-inf', Date.now(), 'LIMIT', 0, this.batchSize);
+        let processed = [];
+
+        for (let id of ids) {
+            // if this process dies while uploading then the job is retried once the lease expires
+            let now = Date.now();
+            if (!(await this.redis.eval(CLAIM_SCRIPT, 1, 'wdur:pending', id, now, now + LEASE_TIME))) {
+                // claimed by another process
+                continue;
+            }
+
+            let job = await this.redis.hgetall('wdur:job:' + id);
+            let raw = await this.redis.getBuffer('wdur:raw:' + id);
+            if (!job || !job.type || !raw) {
+                await this.redis
+                    .multi()
+                    .zrem('wdur:pending', id)
+                    .del('wdur:job:' + id, 'wdur:raw:' + id)
+                    .exec();
+                continue;
+            }
+
+            let entry = {
+                id,
+                type: job.type,
+                data: JSON.parse(job.data),
+                attempts: Number(job.attempts) + 1
+            };
+
+            try {
+                let handler = this.handlers[job.type];
+                if (!handler) {
+                    throw new Error('Unknown job type ' + job.type);
+                }
+                await handler(entry.data, raw);
+
+                await this.redis
+                    .multi()
+                    .zrem('wdur:pending', id)
+                    .del('wdur:job:' + id, 'wdur:raw:' + id)
+                    .exec();
+                entry.result = 'success';
+            } catch (err) {
+                entry.error = err.message;
+
+                let update = this.redis.multi().hmset('wdur:job:' + id, { attempts: entry.attempts, error: err.message });
+                if (entry.attempts >= this.maxAttempts) {
+                    update = update
+                        .zrem('wdur:pending', id)
+                        .lpush('wdur:dead', id)
+                        .ltrim('wdur:dead', 0, MAX_DEAD - 1)
+                        .expire('wdur:job:' + id, this.deadTtl)
+                        .expire('wdur:raw:' + id, this.deadTtl);
+                    entry.result = 'dead';
+                } else {
+                    update = update.zadd('wdur:pending', Date.now() + this.getDelay(entry.attempts), id);
+                    entry.result = 'retry';
+                }
+                await update.exec();
+            }
+
+            processed.push(entry);
+        }
+
+        return processed;
+    }
+
+    /**
+     * Returns retry list size
+     *
+     * @returns {Object} Counts as {pending, due, dead}
+     */
+    async stats() {
+        let [pending, due, dead] = await Promise.all([
+            this.redis.zcard('wdur:pending'),
+            this.redis.zcount('wdur:pending', '-inf', Date.now()),
+            this.redis.llen('wdur:dead')
+        ]);
+        return { pending, due, dead };
+    }
+
+    /**
+     * Moves a dead letter back to the retry list, eg. once the cause of the failure is fixed
+     *
+     * @returns {Boolean} true if the job was found
+     */
+    async requeueDead(id) {
+        if (!(await this.redis.exists('wdur:raw:' + id))) {
+            await this.redis.lrem('wdur:dead', 0, id);
+            return false;
+        }
+
+        await this.redis
+            .multi()
+            .lrem('wdur:dead', 0, id)
+            .hmset('wdur:job:' + id, { attempts: 0 })
+            .persist('wdur:job:' + id)
+            .persist('wdur:raw:' + id)
+            .zadd('wdur:pending', Date.now(), id)
+            .exec();
+
+        return true;
+    }
+}
+
+module.exports = UploadRetry;
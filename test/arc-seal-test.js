@@ -0,0 +1,118 @@
+/* eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const crypto = require('crypto');
+const chai = require('chai');
+const { Headers } = require('mailsplit');
+const { authenticate } = require('mailauth');
+const arcSeal = require('../lib/arc-seal');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const sealOptions = {
+    signingDomain: 'example.com',
+    selector: 'test',
+    privateKey,
+    authServId: 'mx.example.com'
+};
+
+const body = 'Hello world!\r\n\r\nSecond  line with   extra whitespace \r\n\r\n\r\n';
+
+const header =
+    'Authentication-Results: mx.example.com; spf=pass smtp.mailfrom=sender@external.com; dkim=none\r\n' +
+    'From: Sender <sender@external.com>\r\n' +
+    'To: user@example.com\r\n' +
+    'Subject: Test message with a subject line that is long enough to be folded\r\n' +
+    ' into several lines\r\n' +
+    'Date: Mon, 1 Jun 2020 10:00:00 +0000\r\n' +
+    'Message-ID: <test@external.com>\r\n' +
+    '\r\n';
+
+// relaxed body canonicalization, ZoneMTA provides the same hash to sender:headers hooks
+const bodyHash = crypto
+    .createHash('sha256')
+    .update(
+        body
+            .replace(/[ \t]+\r\n/g, '\r\n')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/(\r\n)*$/, '\r\n')
+    )
+    .digest('base64');
+
+const resolver = async (name, type) => {
+    if (type === 'TXT' && name === 'test._domainkey.example.com') {
+        return [['v=DKIM1; k=rsa; p=' + publicKey.replace(/-----[^-]+-----|\s/g, '')]];
+    }
+    let err = new Error('Not found');
+    err.code = 'ENOTFOUND';
+    throw err;
+};
+
+const verify = async headers => {
+    let message = Buffer.concat([headers.build(), Buffer.from(body)]);
+    let result = await authenticate(message, {
+        ip: '192.0.2.1',
+        helo: 'mx.example.com',
+        sender: 'sender@external.com',
+        mta: 'mx.example.com',
+        trustReceived: true,
+        resolver
+    });
+    return result.arc;
+};
+
+describe('ARC sealing tests', function() {
+    this.timeout(10000); // eslint-disable-line no-invalid-this
+
+    it('should add a valid ARC set', async () => {
+        let headers = new Headers(Buffer.from(header));
+
+        let info = arcSeal.seal(headers, 'sha256', bodyHash, sealOptions);
+        expect(info).to.deep.equal({ instance: 1, cv: 'none' });
+
+        let arc = await verify(headers);
+        expect(arc.status.result).to.equal('pass');
+        expect(arc.i).to.equal(1);
+    });
+
+    it('should extend a passing ARC chain', async () => {
+        let headers = new Headers(Buffer.from(header));
+        arcSeal.seal(headers, 'sha256', bodyHash, sealOptions);
+
+        // next hop MX validated the chain
+        let forwarded = new Headers(Buffer.concat([Buffer.from('Authentication-Results: mx.example.com; arc=pass (i=1)\r\n'), headers.build()]));
+
+        let info = arcSeal.seal(forwarded, 'sha256', bodyHash, sealOptions);
+        expect(info).to.deep.equal({ instance: 2, cv: 'pass' });
+
+        let arc = await verify(forwarded);
+        expect(arc.status.result).to.equal('pass');
+        expect(arc.i).to.equal(2);
+    });
+
+    it('should not extend a failed ARC chain', async () => {
+        let headers = new Headers(Buffer.from(header));
+        arcSeal.seal(headers, 'sha256', bodyHash, sealOptions);
+
+        let forwarded = new Headers(Buffer.concat([Buffer.from('Authentication-Results: mx.example.com; arc=fail (i=1)\r\n'), headers.build()]));
+        arcSeal.seal(forwarded, 'sha256', bodyHash, sealOptions);
+
+        let chain = arcSeal.getChain(forwarded);
+        expect(chain).to.equal(false);
+        expect(arcSeal.seal(forwarded, 'sha256', bodyHash, sealOptions)).to.be.false;
+    });
+
+    it('should not seal without a sha256 body hash', async () => {
+        let headers = new Headers(Buffer.from(header));
+        expect(arcSeal.seal(headers, 'sha1', bodyHash, sealOptions)).to.be.false;
+        expect(headers.get('arc-seal')).to.be.empty;
+    });
+});
@@ -0,0 +1,139 @@
+/* eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const AuthThrottle = require('../lib/auth-throttle');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+// in-memory counter with the same semantics as the ttlcounter of WildDuck
+const createCounters = clock => {
+    let counters = new Map();
+
+    let ttlcounter = (key, increment, limit, windowSize, callback) => {
+        let counter = counters.get(key);
+        if (counter && counter.expires <= clock.now) {
+            counters.delete(key);
+            counter = false;
+        }
+
+        let getTtl = () => (counter ? Math.ceil((counter.expires - clock.now) / 1000) : 0);
+
+        if (counter && counter.value >= limit) {
+            return setImmediate(() => callback(null, { success: false, value: counter.value, ttl: getTtl() }));
+        }
+
+        if (increment) {
+            if (!counter) {
+                counter = { value: 0, expires: clock.now + windowSize * 1000 };
+                counters.set(key, counter);
+            }
+            counter.value += increment;
+        }
+
+        setImmediate(() => callback(null, { success: true, value: counter ? counter.value : 0, ttl: getTtl() }));
+    };
+
+    let redis = {
+        del: async keys => [].concat(keys).filter(key => counters.delete(key)).length
+    };
+
+    return { counters, ttlcounter, redis };
+};
+
+describe('Auth throttle tests', function() {
+    let clock, counters, throttle;
+
+    beforeEach(() => {
+        clock = { now: Date.now() };
+        counters = createCounters(clock);
+        throttle = new AuthThrottle({
+            config: {
+                enabled: true,
+                allowedNetworks: ['10.0.0.0/8'],
+                ip: { max: 4, windowSize: 600 },
+                user: { max: 3, windowSize: 900 },
+                ipUser: { max: 2, windowSize: 300 }
+            },
+            redis: counters.redis,
+            ttlcounter: counters.ttlcounter
+        });
+    });
+
+    it('should lock out an IP and username pair once the threshold is reached', async () => {
+        expect(await throttle.check('192.0.2.1', 'user')).to.be.false;
+
+        expect(await throttle.registerFailure('192.0.2.1', 'user')).to.deep.equal([]);
+        expect(await throttle.check('192.0.2.1', 'user')).to.be.false;
+
+        let started = await throttle.registerFailure('192.0.2.1', 'user');
+        expect(started).to.deep.equal([{ limit: 'ipUser', value: 2, ttl: 300 }]);
+
+        let blocked = await throttle.check('192.0.2.1', 'user');
+        expect(blocked).to.include({ limit: 'ipUser', value: 2, responseCode: 454 });
+
+        // other clients and other usernames are not affected yet
+        expect(await throttle.check('192.0.2.2', 'user')).to.be.false;
+        expect(await throttle.check('192.0.2.1', 'other')).to.be.false;
+    });
+
+    it('should lift the lockout once the window expires', async () => {
+        await throttle.registerFailure('192.0.2.1', 'user');
+        await throttle.registerFailure('192.0.2.1', 'user');
+        expect(await throttle.check('192.0.2.1', 'user')).to.include({ limit: 'ipUser' });
+
+        clock.now += 299 * 1000;
+        expect(await throttle.check('192.0.2.1', 'user')).to.include({ limit: 'ipUser', ttl: 1 });
+
+        clock.now += 1000;
+        expect(await throttle.check('192.0.2.1', 'user')).to.be.false;
+    });
+
+    it('should lock out a username from every IP', async () => {
+        await throttle.registerFailure('192.0.2.1', 'user');
+        await throttle.registerFailure('192.0.2.2', 'User');
+        let started = await throttle.registerFailure('192.0.2.3', ' USER ');
+        expect(started.map(entry => entry.limit)).to.deep.equal(['user']);
+
+        expect(await throttle.check('198.51.100.1', 'user')).to.include({ limit: 'user', value: 3, responseCode: 535 });
+        expect(await throttle.check('198.51.100.1', 'other')).to.be.false;
+    });
+
+    it('should lock out an IP for every username', async () => {
+        for (let username of ['a', 'b', 'c', 'd']) {
+            await throttle.registerFailure('192.0.2.1', username);
+        }
+        expect(await throttle.check('192.0.2.1', 'e')).to.include({ limit: 'ip', value: 4, responseCode: 454 });
+        // IPv4-mapped address is the same client
+        expect(await throttle.check('::ffff:192.0.2.1', 'e')).to.include({ limit: 'ip' });
+    });
+
+    it('should clear the IP and username counter after a successful login', async () => {
+        await throttle.registerFailure('192.0.2.1', 'user');
+        await throttle.reset('192.0.2.1', 'user');
+        await throttle.registerFailure('192.0.2.1', 'user');
+        expect(await throttle.check('192.0.2.1', 'user')).to.be.false;
+
+        // per user counter is kept
+        expect(counters.counters.get('wdaf:u:user').value).to.equal(2);
+    });
+
+    it('should not throttle allowed networks', async () => {
+        for (let i = 0; i < 10; i++) {
+            expect(await throttle.registerFailure('10.1.2.3', 'user')).to.deep.equal([]);
+        }
+        expect(await throttle.check('10.1.2.3', 'user')).to.be.false;
+        expect(counters.counters.size).to.equal(0);
+    });
+
+    it('should skip limits with a zero threshold', async () => {
+        throttle = new AuthThrottle({
+            config: { enabled: true, ip: { max: 0 }, user: { max: 0 } },
+            redis: counters.redis,
+            ttlcounter: counters.ttlcounter
+        });
+        expect(throttle.limits.map(limit => limit.name)).to.deep.equal(['ipUser']);
+    });
+});
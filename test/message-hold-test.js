@@ -0,0 +1,138 @@
+/* eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const ObjectID = require('mongodb').ObjectID;
+const MessageHold = require('../lib/message-hold');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+// in-memory replacement for the few MongoDB operations that hold records need
+const createDatabase = () => {
+    let records = new Map();
+    let updates = [];
+
+    let collections = {
+        heldmessages: {
+            findOne: async query => records.get(query.queueId) || null,
+            findOneAndUpdate: async (query, update) => {
+                let record = records.get(query.queueId);
+                if (!record) {
+                    record = Object.assign({ queueId: query.queueId, reasons: [], recipients: [], rules: [] }, update.$setOnInsert);
+                    records.set(query.queueId, record);
+                }
+                Object.keys(update.$set || {}).forEach(key => {
+                    let path = key.split('.');
+                    if (path.length > 1) {
+                        record[path[0]] = Object.assign({}, record[path[0]], { [path[1]]: update.$set[key] });
+                    } else {
+                        record[key] = update.$set[key];
+                    }
+                });
+                Object.keys(update.$min || {}).forEach(key => {
+                    record[key] = record[key] && record[key] < update.$min[key] ? record[key] : update.$min[key];
+                });
+                record.reasons = Array.from(new Set(record.reasons.concat(update.$addToSet.reasons)));
+                record.recipients = Array.from(new Set(record.recipients.concat(update.$addToSet.recipients.$each)));
+                record.rules = record.rules.concat(update.$push.rules.$each);
+                return { value: record };
+            }
+        },
+        'zone-queue': {
+            updateMany: async (query, update) => {
+                updates.push({ query, update });
+                return { modifiedCount: 1 };
+            }
+        }
+    };
+
+    return {
+        records,
+        updates,
+        collection: name => collections[name]
+    };
+};
+
+const createRedis = () => {
+    let keys = new Map();
+    return {
+        keys,
+        set: async (key, value) => keys.set(key, value),
+        exists: async key => (keys.has(key) ? 1 : 0)
+    };
+};
+
+describe('Message hold tests', function() {
+    let database, redis, messageHold;
+
+    beforeEach(() => {
+        database = createDatabase();
+        redis = createRedis();
+        messageHold = new MessageHold({
+            config: { holdDays: 2 },
+            database,
+            queueDb: database,
+            redis
+        });
+    });
+
+    it('should normalize the domain of recipients', () => {
+        expect(MessageHold.normalizeRecipient(' Bob@Example.COM ')).to.equal('Bob@example.com');
+        expect(MessageHold.normalizeRecipient('"a@b"@Example.COM')).to.equal('"a@b"@example.com');
+        expect(MessageHold.normalizeRecipient('postmaster')).to.equal('postmaster');
+    });
+
+    it('should hold recipients with mixed case domains', async () => {
+        await messageHold.hold('queue1', { user: new ObjectID(), reason: 'policy', recipients: ['bob@Example.COM'], rules: ['rule1'] });
+        expect(database.records.get('queue1').recipients).to.deep.equal(['bob@example.com']);
+
+        // ZoneMTA queues the recipient with a lowercase domain
+        let holdData = await messageHold.check({ id: 'queue1', recipient: 'bob@example.com' });
+        expect(holdData).to.include({ status: 'held' });
+        expect(holdData.reasons).to.deep.equal(['policy']);
+
+        expect(await messageHold.check({ id: 'queue1', recipient: 'bob@EXAMPLE.com' })).to.include({ status: 'held' });
+        expect(await messageHold.check({ id: 'queue1', recipient: 'alice@example.com' })).to.be.false;
+        expect(await messageHold.check({ id: 'queue2', recipient: 'bob@example.com' })).to.be.false;
+    });
+
+    it('should match records stored with mixed case domains', async () => {
+        await messageHold.hold('queue1', { user: new ObjectID(), reason: 'policy', recipients: ['bob@example.com'] });
+        database.records.get('queue1').recipients = ['bob@Example.COM'];
+        expect(await messageHold.check({ id: 'queue1', recipient: 'bob@example.com' })).to.include({ status: 'held' });
+    });
+
+    it('should count the hold time from the scheduled delivery time', async () => {
+        let deliverAt = Date.now() + 5 * 24 * 3600 * 1000;
+        let deferDelivery = await messageHold.hold('queue1', { user: new ObjectID(), reason: 'policy', recipients: ['bob@example.com'], deliverAt });
+
+        let expires = database.records.get('queue1').expires.getTime();
+        expect(expires).to.equal(deliverAt + 2 * 24 * 3600 * 1000);
+        expect(deferDelivery).to.equal(expires);
+
+        // not expired before the scheduled delivery time, eg. when fetched after a restart
+        expect(await messageHold.check({ id: 'queue1', recipient: 'bob@example.com' })).to.include({ status: 'held' });
+        database.records.get('queue1').expires = new Date(Date.now() - 1000);
+        expect(await messageHold.check({ id: 'queue1', recipient: 'bob@example.com' })).to.include({ status: 'expired' });
+    });
+
+    it('should count the hold time from now for messages that are not scheduled', async () => {
+        let start = Date.now();
+        await messageHold.hold('queue1', { user: new ObjectID(), reason: 'audit', recipients: ['bob@example.com'], holdTime: 3600 * 1000 });
+
+        let expires = database.records.get('queue1').expires.getTime();
+        expect(expires).to.be.within(start + 3600 * 1000, Date.now() + 3600 * 1000);
+
+        // past delivery time is ignored
+        await messageHold.hold('queue2', { user: new ObjectID(), reason: 'audit', recipients: ['bob@example.com'], deliverAt: start - 1000 });
+        expect(database.records.get('queue2').expires.getTime()).to.be.at.least(start + 2 * 24 * 3600 * 1000);
+    });
+
+    it('should release recipients that are not held', async () => {
+        await messageHold.hold('queue1', { user: new ObjectID(), reason: 'policy', recipients: ['bob@Example.COM'] });
+        expect(await messageHold.releaseUnheld('queue1')).to.equal(1);
+        expect(database.updates[0].query).to.deep.equal({ id: 'queue1', recipient: { $nin: ['bob@example.com'] } });
+    });
+});
@@ -0,0 +1,115 @@
+/* eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const ObjectID = require('mongodb').ObjectID;
+const NetworkAccess = require('../lib/network-access');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+// returns a database object with collections that find documents by a single query field
+const createDatabase = collections => ({
+    collection: name => ({
+        findOne: async query => {
+            let key = Object.keys(query)[0];
+            return (collections[name] || []).find(doc => doc[key].toString() === query[key].toString()) || null;
+        }
+    })
+});
+
+const countries = {
+    '192.0.2.1': 'EE',
+    '198.51.100.1': 'US'
+};
+
+describe('Network access tests', function() {
+    let users = {
+        plain: { _id: new ObjectID(), address: 'plain@example.com' },
+        networks: { _id: new ObjectID(), address: 'networks@example.com', allowedNetworks: ['203.0.113.0/24'] },
+        countries: { _id: new ObjectID(), address: 'countries@other.com', allowedCountries: ['us'] },
+        restricted: { _id: new ObjectID(), address: 'user@restricted.com' }
+    };
+
+    let createAccess = geoip => {
+        let access = new NetworkAccess({
+            config: { enabled: true, geoip: geoip || {} },
+            users: createDatabase({ users: Object.keys(users).map(key => users[key]) }),
+            database: createDatabase({
+                domainaccess: [
+                    { domain: 'restricted.com', networks: ['192.0.2.0/24'] },
+                    { domain: 'country.com', countries: ['EE'] }
+                ]
+            })
+        });
+        access.reader = { get: ip => (countries[ip] ? { country: { iso_code: countries[ip] } } : null) };
+        return access;
+    };
+
+    it('should allow users without lists', async () => {
+        let access = createAccess();
+        expect(await access.check(users.plain._id, '203.0.113.1')).to.deep.equal({ allowed: true, country: false });
+        expect(await access.check(new ObjectID(), '203.0.113.1')).to.deep.equal({ allowed: true });
+    });
+
+    it('should check allowed networks of the user', async () => {
+        let access = createAccess();
+        expect(await access.check(users.networks._id, '203.0.113.10')).to.include({ allowed: true });
+        expect(await access.check(users.networks._id, '::ffff:203.0.113.10')).to.include({ allowed: true });
+        expect(await access.check(users.networks._id, '192.0.2.1')).to.deep.equal({ allowed: false, reason: 'network' });
+    });
+
+    it('should check allowed networks of the primary address domain', async () => {
+        let access = createAccess();
+        expect(await access.check(users.restricted._id, '192.0.2.1')).to.include({ allowed: true });
+        expect(await access.check(users.restricted._id, '198.51.100.1')).to.deep.equal({ allowed: false, reason: 'network' });
+    });
+
+    it('should check allowed networks of the sender domain', async () => {
+        let access = createAccess();
+
+        // alias in a restricted domain
+        expect(await access.check(users.plain._id, '198.51.100.1', 'alias@Restricted.com')).to.deep.equal({ allowed: false, reason: 'network' });
+        expect(await access.check(users.plain._id, '192.0.2.1', 'alias@restricted.com')).to.include({ allowed: true });
+
+        // domains without rules and the primary domain are not checked again
+        expect(await access.check(users.plain._id, '198.51.100.1', 'alias@unknown.com')).to.deep.equal({ allowed: true });
+        expect(await access.check(users.networks._id, '192.0.2.1', 'other@example.com')).to.deep.equal({ allowed: true });
+
+        // user list overrides the domain list
+        expect(await access.check(users.networks._id, '203.0.113.1', 'alias@restricted.com')).to.include({ allowed: true });
+    });
+
+    it('should flag unexpected countries', async () => {
+        let access = createAccess({ allowedCountries: ['EE'] });
+        expect(await access.check(users.plain._id, '192.0.2.1')).to.deep.equal({ allowed: true, country: 'EE' });
+        expect(await access.check(users.plain._id, '198.51.100.1')).to.deep.equal({ allowed: true, country: 'US', flagged: true });
+
+        // unknown country is not flagged
+        expect(await access.check(users.plain._id, '203.0.113.1')).to.deep.equal({ allowed: true, country: false });
+
+        // user list overrides the default list
+        expect(await access.check(users.countries._id, '198.51.100.1')).to.deep.equal({ allowed: true, country: 'US' });
+    });
+
+    it('should deny unexpected countries', async () => {
+        let access = createAccess({ allowedCountries: ['EE'], action: 'deny' });
+        expect(await access.check(users.plain._id, '198.51.100.1')).to.deep.equal({ allowed: false, reason: 'country', country: 'US' });
+        expect(await access.check(users.plain._id, '198.51.100.1', 'alias@country.com')).to.deep.equal({
+            allowed: false,
+            reason: 'country',
+            country: 'US'
+        });
+        expect(await access.check(users.countries._id, '192.0.2.1', 'alias@country.com')).to.deep.equal({
+            allowed: false,
+            reason: 'country',
+            country: 'EE'
+        });
+    });
+
+    it('should allow everything if disabled', async () => {
+        let access = new NetworkAccess({ config: { enabled: false } });
+        expect(await access.check(users.networks._id, '192.0.2.1')).to.deep.equal({ allowed: true });
+    });
+});
@@ -0,0 +1,86 @@
+/* eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const networks = require('../lib/networks');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+describe('Network matcher tests', function() {
+    it('should match IPv4 prefixes', () => {
+        let matcher = networks.createMatcher(['192.168.1.0/24', '10.16.0.0/12', '172.16.5.4']);
+
+        expect(matcher('192.168.1.1')).to.be.true;
+        expect(matcher('192.168.1.255')).to.be.true;
+        expect(matcher('192.168.2.1')).to.be.false;
+
+        // partial byte prefix
+        expect(matcher('10.16.0.1')).to.be.true;
+        expect(matcher('10.31.255.255')).to.be.true;
+        expect(matcher('10.32.0.0')).to.be.false;
+        expect(matcher('10.15.255.255')).to.be.false;
+
+        // single address
+        expect(matcher('172.16.5.4')).to.be.true;
+        expect(matcher('172.16.5.5')).to.be.false;
+    });
+
+    it('should match all IPv4 addresses with a zero prefix but no IPv6 addresses', () => {
+        let matcher = networks.createMatcher(['0.0.0.0/0']);
+        expect(matcher('1.2.3.4')).to.be.true;
+        expect(matcher('255.255.255.255')).to.be.true;
+        expect(matcher('2001:db8::1')).to.be.false;
+    });
+
+    it('should match IPv6 prefixes', () => {
+        let matcher = networks.createMatcher(['2001:db8::/32', 'fe80::/10', '2001:db8:1:2::/127', '::1']);
+
+        expect(matcher('2001:db8::1')).to.be.true;
+        expect(matcher('2001:DB8:ffff::1')).to.be.true;
+        expect(matcher('2001:db9::1')).to.be.false;
+
+        expect(matcher('fe80::1')).to.be.true;
+        expect(matcher('febf:ffff::1')).to.be.true;
+        expect(matcher('fec0::1')).to.be.false;
+
+        expect(matcher('::1')).to.be.true;
+        expect(matcher('::2')).to.be.false;
+    });
+
+    it('should match IPv4-mapped IPv6 addresses against IPv4 networks', () => {
+        let matcher = networks.createMatcher(['127.0.0.0/8', '192.0.2.0/24']);
+
+        expect(matcher('::ffff:127.0.0.1')).to.be.true;
+        expect(matcher('::FFFF:192.0.2.10')).to.be.true;
+        // hex notation of ::ffff:192.0.2.1
+        expect(matcher('::ffff:c000:201')).to.be.true;
+        expect(matcher('::ffff:128.0.0.1')).to.be.false;
+
+        // not mapped, so not in IPv4 space
+        expect(matcher('::127.0.0.1')).to.be.false;
+    });
+
+    it('should match IPv4 addresses against IPv4-mapped networks', () => {
+        let matcher = networks.createMatcher(['::ffff:10.0.0.0/104']);
+        expect(matcher('10.1.2.3')).to.be.true;
+        expect(matcher('11.1.2.3')).to.be.false;
+    });
+
+    it('should ignore invalid networks and addresses', () => {
+        expect(networks.parseNetwork('10.0.0.0/33')).to.be.false;
+        expect(networks.parseNetwork('2001:db8::/129')).to.be.false;
+        expect(networks.parseNetwork('10.0.0.0/abc')).to.be.false;
+        expect(networks.parseNetwork('example.com')).to.be.false;
+
+        let matcher = networks.createMatcher(['10.0.0.0/33', 'example.com', '192.0.2.0/24']);
+        expect(matcher('10.0.0.1')).to.be.false;
+        expect(matcher('192.0.2.1')).to.be.true;
+        expect(matcher('not an address')).to.be.false;
+        expect(matcher('')).to.be.false;
+
+        expect(networks.createMatcher([])('127.0.0.1')).to.be.false;
+        expect(networks.createMatcher()('127.0.0.1')).to.be.false;
+    });
+});
@@ -0,0 +1,231 @@
+/* eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+/* globals before, after */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const chai = require('chai');
+const OAuthTokens = require('../lib/oauth-tokens');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const otherKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// base64url
+const encode = value =>
+    (Buffer.isBuffer(value) ? value : Buffer.from(JSON.stringify(value)))
+        .toString('base64')
+        .replace(/[=]+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+
+const createToken = (claims, options) => {
+    options = options || {};
+    let alg = options.alg || 'RS256';
+    let data = encode({ alg, typ: 'JWT', kid: options.kid || (alg === 'ES256' ? 'ec' : 'rsa') }) + '.' + encode(claims);
+    let signature =
+        alg === 'ES256'
+            ? crypto.sign('SHA256', Buffer.from(data), { key: ecKeys.privateKey, dsaEncoding: 'ieee-p1363' })
+            : crypto.sign('RSA-SHA256', Buffer.from(data), options.privateKey || rsaKeys.privateKey);
+    return data + '.' + encode(signature);
+};
+
+const expectInvalid = async (promise, message) => {
+    let error;
+    try {
+        await promise;
+    } catch (err) {
+        error = err;
+    }
+    expect(error).to.exist;
+    expect(error.message).to.equal(message);
+    return error;
+};
+
+describe('OAuth2 token tests', function() {
+    let tmpdir, now;
+
+    before(async () => {
+        tmpdir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'oauth-test-'));
+        await fs.promises.writeFile(
+            path.join(tmpdir, 'jwks.json'),
+            JSON.stringify({
+                keys: [
+                    Object.assign(rsaKeys.publicKey.export({ format: 'jwk' }), { kid: 'rsa', alg: 'RS256' }),
+                    Object.assign(ecKeys.publicKey.export({ format: 'jwk' }), { kid: 'ec', alg: 'ES256' })
+                ]
+            })
+        );
+    });
+
+    after(async () => {
+        await fs.promises.unlink(path.join(tmpdir, 'jwks.json'));
+        await fs.promises.rmdir(tmpdir);
+    });
+
+    describe('JWKS', function() {
+        let tokens;
+
+        beforeEach(async () => {
+            now = Math.floor(Date.now() / 1000);
+            tokens = new OAuthTokens({
+                config: {
+                    enabled: true,
+                    jwks: path.join(tmpdir, 'jwks.json'),
+                    issuer: 'https://auth.example.com/',
+                    audience: 'smtp',
+                    maxLifetime: 3600
+                }
+            });
+            expect(await tokens.loadKeys()).to.equal(2);
+        });
+
+        let claims = extra => Object.assign({ iss: 'https://auth.example.com/', aud: ['smtp', 'imap'], sub: 'user', iat: now, exp: now + 600 }, extra);
+
+        it('should accept valid RS256 and ES256 tokens', async () => {
+            let info = await tokens.verify(createToken(claims({ scope: 'smtp imap' })));
+            expect(info.subject).to.equal('user');
+            expect(info.scope).to.deep.equal(['smtp', 'imap']);
+
+            info = await tokens.verify(createToken(claims(), { alg: 'ES256' }));
+            expect(info.subject).to.equal('user');
+        });
+
+        it('should reject expired tokens', async () => {
+            await expectInvalid(tokens.verify(createToken(claims({ iat: now - 1200, exp: now - 600 }))), 'Token has expired');
+            // within the clock tolerance
+            expect(await tokens.verify(createToken(claims({ iat: now - 600, exp: now - 30 })))).to.include({ subject: 'user' });
+        });
+
+        it('should reject tokens without an expiration time', async () => {
+            let err = await expectInvalid(tokens.verify(createToken(claims({ exp: undefined }))), 'Token does not expire');
+            expect(err.code).to.equal('InvalidToken');
+        });
+
+        it('should reject tokens with a long lifetime', async () => {
+            await expectInvalid(tokens.verify(createToken(claims({ exp: now + 7200 }))), 'Token lifetime is too long');
+            await expectInvalid(tokens.verify(createToken(claims({ iat: undefined, exp: now + 7200 }))), 'Token lifetime is too long');
+        });
+
+        it('should reject tokens that are not yet valid', async () => {
+            await expectInvalid(tokens.verify(createToken(claims({ nbf: now + 600 }))), 'Token is not yet valid');
+        });
+
+        it('should reject tokens from other issuers and for other audiences', async () => {
+            await expectInvalid(tokens.verify(createToken(claims({ iss: 'https://evil.example.com/' }))), 'Unexpected token issuer');
+            await expectInvalid(tokens.verify(createToken(claims({ iss: undefined }))), 'Unexpected token issuer');
+            await expectInvalid(tokens.verify(createToken(claims({ aud: 'imap' }))), 'Unexpected token audience');
+            await expectInvalid(tokens.verify(createToken(claims({ aud: undefined }))), 'Unexpected token audience');
+        });
+
+        it('should reject tokens with invalid signatures', async () => {
+            await expectInvalid(tokens.verify(createToken(claims(), { privateKey: otherKeys.privateKey })), 'Invalid token signature');
+
+            // modified claims
+            let parts = createToken(claims()).split('.');
+            parts[1] = encode(claims({ sub: 'admin' }));
+            await expectInvalid(tokens.verify(parts.join('.')), 'Invalid token signature');
+
+            // unknown key id
+            await expectInvalid(tokens.verify(createToken(claims(), { kid: 'unknown' })), 'Invalid token signature');
+
+            // algorithm does not match the key
+            parts = createToken(claims()).split('.');
+            parts[0] = encode({ alg: 'ES256', typ: 'JWT', kid: 'rsa' });
+            await expectInvalid(tokens.verify(parts.join('.')), 'Invalid token signature');
+        });
+
+        it('should reject unsupported algorithms and malformed tokens', async () => {
+            let parts = createToken(claims()).split('.');
+            parts[0] = encode({ alg: 'none', typ: 'JWT' });
+            await expectInvalid(tokens.verify(parts[0] + '.' + parts[1] + '.'), 'Unsupported token algorithm');
+            await expectInvalid(tokens.verify('abc'), 'Invalid token format');
+            await expectInvalid(tokens.verify('abc.def.ghi'), 'Invalid token format');
+        });
+
+        it('should require the configured scope and a subject', async () => {
+            tokens.config.scope = 'smtp';
+            await expectInvalid(tokens.verify(createToken(claims({ scope: 'imap' }))), 'Token does not include required scope');
+            expect(await tokens.verify(createToken(claims({ scp: ['imap', 'smtp'] })))).to.include({ subject: 'user' });
+            await expectInvalid(tokens.verify(createToken(claims({ sub: undefined, scope: 'smtp' }))), 'Token does not include a subject');
+        });
+    });
+
+    describe('Introspection', function() {
+        let server, requests, response, tokens;
+
+        before(done => {
+            server = http.createServer((req, res) => {
+                let chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+                    res.statusCode = response.statusCode || 200;
+                    res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body));
+                });
+            });
+            server.listen(0, '127.0.0.1', done);
+        });
+
+        after(done => server.close(done));
+
+        beforeEach(() => {
+            now = Math.floor(Date.now() / 1000);
+            requests = [];
+            tokens = new OAuthTokens({
+                config: {
+                    enabled: true,
+                    audience: 'smtp',
+                    introspection: {
+                        url: 'http://127.0.0.1:' + server.address().port + '/introspect',
+                        clientId: 'zone-mta',
+                        clientSecret: 'secret'
+                    }
+                }
+            });
+        });
+
+        it('should accept active tokens', async () => {
+            response = { body: { active: true, sub: 'user', aud: 'smtp', exp: now + 600 } };
+            expect(await tokens.verify('opaque-token')).to.include({ subject: 'user' });
+
+            expect(requests.length).to.equal(1);
+            expect(requests[0].body).to.equal('token=opaque-token&token_type_hint=access_token');
+            expect(requests[0].headers.authorization).to.equal('Basic ' + Buffer.from('zone-mta:secret').toString('base64'));
+        });
+
+        it('should accept active tokens without an expiration time', async () => {
+            response = { body: { active: true, sub: 'user', aud: 'smtp' } };
+            expect(await tokens.verify('opaque-token')).to.include({ subject: 'user' });
+        });
+
+        it('should reject inactive and expired tokens', async () => {
+            response = { body: { active: false } };
+            await expectInvalid(tokens.verify('opaque-token'), 'Token is not active');
+
+            response = { body: { active: true, sub: 'user', aud: 'smtp', exp: now - 600 } };
+            await expectInvalid(tokens.verify('opaque-token'), 'Token has expired');
+        });
+
+        it('should reject tokens for other audiences', async () => {
+            response = { body: { active: true, sub: 'user', aud: 'imap', exp: now + 600 } };
+            await expectInvalid(tokens.verify('opaque-token'), 'Unexpected token audience');
+        });
+
+        it('should fail on unexpected responses', async () => {
+            response = { statusCode: 500, body: 'error' };
+            let err = await expectInvalid(tokens.verify('opaque-token'), 'Unexpected introspection response code 500');
+            expect(err.code).to.not.equal('InvalidToken');
+
+            response = { body: 'not json' };
+            await expectInvalid(tokens.verify('opaque-token'), 'Invalid introspection response');
+        });
+    });
+});
@@ -0,0 +1,120 @@
+/* eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const ObjectID = require('mongodb').ObjectID;
+const ScheduledSending = require('../lib/scheduled-sending');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+// in-memory replacement for the few MongoDB operations that scheduled messages need
+const createDatabase = () => {
+    let records = [];
+    let queue = [];
+    let messageUpdates = [];
+
+    let matches = (record, query) =>
+        record.queueId === query.queueId && record.user.equals(query.user) && record.status === query.status && record.deliverAt > query.deliverAt.$gt;
+
+    let collections = {
+        scheduledmessages: {
+            insertOne: async record => {
+                records.push(Object.assign({ _id: new ObjectID() }, record));
+            },
+            findOne: async query => records.find(record => matches(record, query)) || null,
+            updateOne: async (query, update) => {
+                let record = records.find(record => record._id.equals(query._id));
+                Object.assign(record, update.$set);
+            },
+            find: query => {
+                let list = records.filter(record => record.user.equals(query.user) && (!query.status || record.status === query.status));
+                let cursor = {
+                    sort: () => cursor,
+                    limit: limit => {
+                        list = list.slice(0, limit);
+                        return cursor;
+                    },
+                    toArray: async () => list
+                };
+                return cursor;
+            }
+        },
+        messages: {
+            updateMany: async (query, update) => {
+                messageUpdates.push({ query, update });
+                return { modifiedCount: 0 };
+            }
+        },
+        'zone-queue': {
+            deleteMany: async query => {
+                let count = queue.length;
+                queue = queue.filter(row => row.id !== query.id || row.queued <= query.queued.$gt);
+                return { deletedCount: count - queue.length };
+            }
+        }
+    };
+
+    return {
+        records,
+        messageUpdates,
+        queue: () => queue,
+        enqueue: row => queue.push(row),
+        collection: name => collections[name]
+    };
+};
+
+describe('Scheduled sending tests', function() {
+    let database, scheduledSending, user, deliverAt;
+
+    beforeEach(async () => {
+        database = createDatabase();
+        scheduledSending = new ScheduledSending({ config: { enabled: true }, database, queueDb: database });
+        user = new ObjectID();
+        deliverAt = Date.now() + 3600 * 1000;
+
+        await scheduledSending.schedule('queue1', user, { deliverAt, from: 'user@example.com', recipients: ['a@example.com', 'b@example.com'] });
+        database.enqueue({ id: 'queue1', seq: '001', queued: new Date(deliverAt) });
+        database.enqueue({ id: 'queue1', seq: '002', queued: new Date(deliverAt) });
+        database.enqueue({ id: 'queue2', seq: '001', queued: new Date(deliverAt) });
+    });
+
+    it('should cancel a scheduled message without a Sent Mail copy', async () => {
+        expect(await scheduledSending.cancel(user.toString(), 'queue1')).to.equal(2);
+        expect(database.queue().map(row => row.id)).to.deep.equal(['queue2']);
+        expect(database.records[0]).to.include({ status: 'cancelled' });
+        expect(database.messageUpdates[0].query).to.deep.equal({ user, outbound: 'queue1' });
+
+        // already cancelled
+        expect(await scheduledSending.cancel(user, 'queue1')).to.be.false;
+    });
+
+    it('should not cancel messages of other users', async () => {
+        expect(await scheduledSending.cancel(new ObjectID(), 'queue1')).to.be.false;
+        expect(database.queue().length).to.equal(3);
+        expect(database.records[0]).to.include({ status: 'scheduled' });
+    });
+
+    it('should not cancel released messages', async () => {
+        database.records[0].deliverAt = new Date(Date.now() - 1000);
+        expect(await scheduledSending.cancel(user, 'queue1')).to.be.false;
+
+        // deliveries that are already due are left to the sender
+        database.records[0].deliverAt = new Date(deliverAt);
+        database.queue().forEach(row => (row.queued = new Date(Date.now() - 1000)));
+        expect(await scheduledSending.cancel(user, 'queue1')).to.be.false;
+        expect(database.records[0]).to.include({ status: 'scheduled' });
+    });
+
+    it('should list scheduled messages of an user', async () => {
+        let list = await scheduledSending.list(user.toString(), { status: 'scheduled' });
+        expect(list.length).to.equal(1);
+        expect(list[0]).to.include({ queueId: 'queue1', status: 'scheduled', from: 'user@example.com' });
+        expect(list[0].recipients).to.deep.equal(['a@example.com', 'b@example.com']);
+        expect(list[0].deliverAt.getTime()).to.equal(deliverAt);
+
+        expect(await scheduledSending.list(user, { status: 'cancelled' })).to.deep.equal([]);
+        expect(await scheduledSending.list(new ObjectID())).to.deep.equal([]);
+    });
+});
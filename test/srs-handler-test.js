@@ -0,0 +1,83 @@
+/* eslint no-unused-expressions: 0, prefer-arrow-callback: 0 */
+
+'use strict';
+
+const chai = require('chai');
+const SRSHandler = require('../lib/srs-handler');
+
+const expect = chai.expect;
+chai.config.includeStack = true;
+
+describe('SRS handler tests', function() {
+    let handler = new SRSHandler({
+        secret: 'current',
+        previousSecrets: ['previous', 'oldest'],
+        rewriteDomain: 'srs.example.com'
+    });
+
+    it('should reverse an address signed with the current secret', () => {
+        let address = handler.rewrite('sender@Example.com');
+        expect(address).to.match(/^SRS0=[0-9a-f]{4}=[A-Z2-7]{2}=example\.com=sender@srs\.example\.com$/);
+        expect(handler.isSRSAddress(address)).to.be.true;
+        expect(handler.reverse(address)).to.equal('sender@example.com');
+    });
+
+    it('should reverse addresses signed with previous secrets', () => {
+        for (let secret of ['previous', 'oldest']) {
+            let address = new SRSHandler({ secret, rewriteDomain: 'srs.example.com' }).rewrite('sender@example.com');
+            expect(handler.reverse(address)).to.equal('sender@example.com');
+        }
+    });
+
+    it('should reverse an SRS1 address signed with a previous secret', () => {
+        let previous = new SRSHandler({ secret: 'previous', rewriteDomain: 'srs.example.com' });
+        let address = previous.rewrite('SRS0=abcd=AB=example.com=sender@forwarder.example.net');
+        expect(address).to.match(/^SRS1=/);
+        expect(handler.reverse(address)).to.equal('SRS0=abcd=AB=example.com=sender@forwarder.example.net');
+    });
+
+    it('should reverse an address with changed case', () => {
+        let address = handler.rewrite('sender@example.com');
+        // local part of the original address is hashed as is, everything else can change case
+        let [prefix, hash, timestamp, domain, rest] = address.split('=');
+        expect(handler.reverse([prefix.toLowerCase(), hash.toUpperCase(), timestamp.toLowerCase(), domain.toUpperCase(), rest].join('='))).to.equal(
+            'sender@example.com'
+        );
+    });
+
+    it('should reject an address signed with an unknown secret', () => {
+        let address = new SRSHandler({ secret: 'unknown', rewriteDomain: 'srs.example.com' }).rewrite('sender@example.com');
+        expect(() => handler.reverse(address))
+            .to.throw(/Invalid SRS address/)
+            .with.property('code', 'SRSInvalid');
+    });
+
+    it('should reject an address with a modified hash', () => {
+        let address = handler.rewrite('sender@example.com');
+        let hash = address.substr(5, 4);
+        let modified = address.replace(hash, hash === '0000' ? '0001' : '0000');
+        expect(() => handler.reverse(modified))
+            .to.throw(/Invalid SRS address/)
+            .with.property('code', 'SRSInvalid');
+    });
+
+    it('should reject an address with a modified original address', () => {
+        let address = handler.rewrite('sender@example.com').replace('=sender@', '=other@');
+        expect(() => handler.reverse(address)).to.throw(/Invalid SRS address/);
+    });
+
+    it('should report an expired address without trying other secrets', () => {
+        let realNow = Date.now;
+        let address;
+        try {
+            // timestamps have a precision of one day
+            Date.now = () => realNow() - 30 * 24 * 3600 * 1000;
+            address = new SRSHandler({ secret: 'previous', rewriteDomain: 'srs.example.com' }).rewrite('sender@example.com');
+        } finally {
+            Date.now = realNow;
+        }
+        expect(() => handler.reverse(address))
+            .to.throw(/expired/)
+            .with.property('code', 'SRSExpired');
+    });
+});